@@ -0,0 +1,1057 @@
+// --- Scoring Constants for the Alignment Algorithms ---
+const MATCH_SCORE = 2;
+const MISMATCH_PENALTY = -1;
+const GAP_PENALTY = -1;
+
+// Defaults for near matches: words at least this similar (0..1) score
+// weight × similarity × MATCH_SCORE instead of MISMATCH_PENALTY
+const NEAR_MATCH_THRESHOLD = 0.7;
+const NEAR_MATCH_WEIGHT = 0.75;
+
+// Share of an aligner's progress taken by the search for near matches,
+// which runs before the forward pass
+const NEAR_MATCH_PROGRESS = 0.1;
+
+// --- Word Alignment (Smith-Waterman / Needleman-Wunsch) ---
+//
+// Both algorithms share one dynamic-programming kernel that only ever keeps
+// a couple of score rows in memory. The traceback is rebuilt by divide and
+// conquer: the rows between two checkpoints are recomputed and split in half
+// until a block is small enough to store its directions. This follows the
+// exact same path a full traceback matrix would, in O(m log n) memory.
+
+// Traceback directions, stored one byte per cell
+const TRACE_NONE = 0;
+const TRACE_DIAG = 1;
+const TRACE_UP = 2;
+const TRACE_LEFT = 3;
+
+// Number of rows whose directions are stored at once during the traceback
+const TRACE_BLOCK_ROWS = 64;
+
+/**
+ * Normalize every word once and map it to an integer code, so the alignment
+ * loops compare numbers instead of strings. Words that are empty after
+ * cleanForComparison() get code 0, which never counts as a match.
+ * @param {string[]} seq1 - First sequence (array of words)
+ * @param {string[]} seq2 - Second sequence (array of words)
+ * @param {object} [cleanOptions] - Options for cleanForComparison()
+ * @returns {{codes1: Int32Array, codes2: Int32Array, vocabulary: string[]}}
+ *   Word codes per sequence, and the normalized word of every code
+ */
+function encodeWords(seq1, seq2, cleanOptions) {
+  const codeByWord = new Map();
+  const vocabulary = [""];
+
+  const encode = (seq) => {
+    const codes = new Int32Array(seq.length);
+    seq.forEach((word, index) => {
+      const clean = cleanForComparison(word, cleanOptions);
+      if (clean === "") return;
+      if (!codeByWord.has(clean)) {
+        codeByWord.set(clean, vocabulary.length);
+        vocabulary.push(clean);
+      }
+      codes[index] = codeByWord.get(clean);
+    });
+    return codes;
+  };
+
+  return { codes1: encode(seq1), codes2: encode(seq2), vocabulary };
+}
+
+/**
+ * Similarity of two words from their edit distance: 1 for equal words,
+ * 0 when every character differs. Gives up early (returning 0) once the
+ * similarity can no longer reach minSimilarity.
+ * @param {string} word1 - First word
+ * @param {string} word2 - Second word
+ * @param {number} minSimilarity - Lowest similarity of interest
+ * @returns {number} Similarity between 0 and 1
+ */
+function wordSimilarity(word1, word2, minSimilarity) {
+  const a = [...word1];
+  const b = [...word2];
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+
+  const maxDistance = Math.floor(longest * (1 - minSimilarity));
+  if (Math.abs(a.length - b.length) > maxDistance) return 0;
+
+  // Levenshtein distance, two rows at a time. Only the cells at most
+  // maxDistance from the diagonal are computed; the ones next to that band
+  // hold maxDistance + 1, which is all a further cell needs to know.
+  const beyond = maxDistance + 1;
+  let previous = [];
+  let current = [];
+  for (let j = 0; j <= b.length; j++) previous[j] = Math.min(j, beyond);
+  previous[b.length + 1] = beyond;
+
+  for (let i = 1; i <= a.length; i++) {
+    const from = Math.max(1, i - maxDistance);
+    const to = Math.min(b.length, i + maxDistance);
+    current[from - 1] = from === 1 ? Math.min(i, beyond) : beyond;
+    let rowMin = current[from - 1];
+    for (let j = from; j <= to; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        beyond
+      );
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    current[to + 1] = beyond;
+    if (rowMin > maxDistance) return 0;
+    const finished = current;
+    current = previous;
+    previous = finished;
+  }
+
+  const distance = previous[b.length];
+  return distance > maxDistance ? 0 : 1 - distance / longest;
+}
+
+/**
+ * Count the character bigrams of a word, with a mark before its first and
+ * after its last character, so a word of n characters has n + 1 bigrams.
+ * @param {string} word - Normalized word
+ * @returns {Map<string, number>} Occurrences of every bigram
+ */
+function countBigrams(word) {
+  const chars = ["\u0002", ...word, "\u0003"];
+  const counts = new Map();
+  for (let n = 0; n + 1 < chars.length; n++) {
+    const bigram = chars[n] + chars[n + 1];
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Find the pairs of different words, one from each sequence, that are
+ * similar enough to count as near matches, and the score of each pair.
+ * Only pairs sharing enough bigrams to be within reach of the threshold are
+ * scored: every edit breaks at most two bigrams, so words at most k edits
+ * apart share at least (longer length + 1 - 2k) of them.
+ * @param {Int32Array} codes1 - Word codes of the first sequence
+ * @param {Int32Array} codes2 - Word codes of the second sequence
+ * @param {string[]} vocabulary - Normalized word of every code
+ * @param {object} options - { threshold, weight, matchScore, cache,
+ *   onProgress(fraction) } where cache (optional) keeps the similarity of
+ *   every pair scored, for other aligners with the same threshold
+ * @returns {Map<number, Map<number, number>>} Score by code2, by code1
+ */
+function findNearMatches(codes1, codes2, vocabulary, options) {
+  const { threshold, weight, matchScore, cache, onProgress } = options;
+  const words1 = [...new Set(codes1)].filter((code) => code !== 0);
+  const words2 = [...new Set(codes2)].filter((code) => code !== 0);
+  const nearMatches = new Map();
+
+  // Words of the second sequence by the bigrams they contain, then by their
+  // length, as pairs of (code, occurrences)
+  const lengths = new Int32Array(vocabulary.length);
+  const wordsByBigram = new Map();
+  for (const code2 of words2) {
+    const length2 = [...vocabulary[code2]].length;
+    lengths[code2] = length2;
+    for (const [bigram, count] of countBigrams(vocabulary[code2])) {
+      if (!wordsByBigram.has(bigram)) wordsByBigram.set(bigram, new Map());
+      const byLength = wordsByBigram.get(bigram);
+      if (!byLength.has(length2)) byLength.set(length2, []);
+      byLength.get(length2).push(code2, count);
+    }
+  }
+
+  // Bigrams shared with the current word, by code2
+  const shared = new Int32Array(vocabulary.length);
+  const sharing = [];
+
+  words1.forEach((code1, done) => {
+    const word1 = vocabulary[code1];
+    const length1 = [...word1].length;
+    const inReach = (length2) =>
+      Math.abs(length1 - length2) <=
+      Math.floor(Math.max(length1, length2) * (1 - threshold));
+
+    for (const [bigram, count1] of countBigrams(word1)) {
+      for (const [length2, entries] of wordsByBigram.get(bigram) || []) {
+        if (!inReach(length2)) continue;
+        for (let n = 0; n < entries.length; n += 2) {
+          const code2 = entries[n];
+          if (shared[code2] === 0) sharing.push(code2);
+          shared[code2] += Math.min(count1, entries[n + 1]);
+        }
+      }
+    }
+
+    // Below 50% similarity, words without a bigram in common can still
+    // qualify
+    const candidates = threshold >= 0.5 ? sharing : words2;
+    for (const code2 of candidates) {
+      if (code1 === code2) continue;
+      const longest = Math.max(length1, lengths[code2]);
+      const maxDistance = Math.floor(longest * (1 - threshold));
+      if (shared[code2] < longest + 1 - 2 * maxDistance) continue;
+
+      const word2 = vocabulary[code2];
+      const key = `${word1}\n${word2}`;
+      let similarity = cache ? cache.get(key) : undefined;
+      if (similarity === undefined) {
+        similarity = wordSimilarity(word1, word2, threshold);
+        if (cache) cache.set(key, similarity);
+      }
+      if (similarity < threshold) continue;
+
+      if (!nearMatches.has(code1)) nearMatches.set(code1, new Map());
+      nearMatches.get(code1).set(code2, weight * similarity * matchScore);
+    }
+
+    for (const code2 of sharing) shared[code2] = 0;
+    sharing.length = 0;
+    if (onProgress) onProgress((done + 1) / words1.length);
+  });
+
+  return nearMatches;
+}
+
+/**
+ * Prepare the shared state used by the alignment kernel.
+ * @param {string[]} seq1 - First sequence (array of words)
+ * @param {string[]} seq2 - Second sequence (array of words)
+ * @param {object} options - { mode: "global" | "local", matchScore,
+ *   mismatchPenalty, gapPenalty, foldDiacritics, nearMatch, nearMatchCache,
+ *   onProgress(fraction) } where nearMatch is { threshold, weight } to score
+ *   similar words as near matches, or null to treat them as mismatches, and
+ *   nearMatchCache (optional) is a Map shared by the aligners of one sync so
+ *   each pair of words is scored once
+ * @returns {object} Aligner state
+ */
+function createAligner(seq1, seq2, options) {
+  const { codes1, codes2, vocabulary } = encodeWords(seq1, seq2, {
+    foldDiacritics: options.foldDiacritics,
+  });
+
+  const nearMatches = options.nearMatch
+    ? findNearMatches(codes1, codes2, vocabulary, {
+        threshold: NEAR_MATCH_THRESHOLD,
+        weight: NEAR_MATCH_WEIGHT,
+        ...options.nearMatch,
+        matchScore: options.matchScore,
+        cache: options.nearMatchCache,
+        onProgress: options.onProgress
+          ? (fraction) => options.onProgress(fraction * NEAR_MATCH_PROGRESS)
+          : null,
+      })
+    : new Map();
+
+  return {
+    seq1,
+    seq2,
+    codes1,
+    codes2,
+    nearMatches,
+    // Substitution score by code2 for the row being computed
+    substitution: new Float64Array(vocabulary.length).fill(
+      options.mismatchPenalty
+    ),
+    local: options.mode === "local",
+    matchScore: options.matchScore,
+    mismatchPenalty: options.mismatchPenalty,
+    gapPenalty: options.gapPenalty,
+    onProgress: options.onProgress || null,
+    // Progress already reported when the forward pass starts
+    forwardProgressStart: options.nearMatch ? NEAR_MATCH_PROGRESS : 0,
+  };
+}
+
+/**
+ * Compute score rows fromRow+1..toRow, starting from the scores of fromRow.
+ * Only the columns covered by `scores` are computed. Local alignments clamp
+ * scores at 0 (Smith-Waterman); semi-global ones do not (Needleman-Wunsch).
+ * Leading gaps are free in both modes, so column 0 is always 0.
+ * @param {object} aligner - State from createAligner()
+ * @param {Float64Array} scores - Scores of row fromRow (left untouched)
+ * @param {number} fromRow - Row the scores belong to
+ * @param {number} toRow - Last row to compute
+ * @param {Uint8Array|null} directions - Receives the direction of every
+ *   computed cell, row by row, when given
+ * @param {Function} [onRow] - Called with (i, scores) after each row
+ * @returns {Float64Array} Scores of row toRow
+ */
+function advanceScoreRows(aligner, scores, fromRow, toRow, directions, onRow) {
+  const {
+    codes1,
+    codes2,
+    nearMatches,
+    substitution,
+    local,
+    matchScore,
+    mismatchPenalty,
+    gapPenalty,
+  } = aligner;
+  const width = scores.length;
+
+  let previous = scores;
+  let current = new Float64Array(width);
+  let spare = fromRow + 1 < toRow ? new Float64Array(width) : null;
+
+  for (let i = fromRow + 1; i <= toRow; i++) {
+    const code1 = codes1[i - 1];
+    const offset = (i - fromRow - 1) * width;
+    current[0] = 0;
+
+    // Score of this row's word against every word of seq2, by code
+    const near = nearMatches.get(code1);
+    if (near) {
+      for (const [code2, score] of near) substitution[code2] = score;
+    }
+    if (code1 !== 0) substitution[code1] = matchScore;
+
+    for (let j = 1; j < width; j++) {
+      const match = previous[j - 1] + substitution[codes2[j - 1]];
+      const deleteGap = previous[j] + gapPenalty;
+      const insertGap = current[j - 1] + gapPenalty;
+
+      let best = match;
+      if (deleteGap > best) best = deleteGap;
+      if (insertGap > best) best = insertGap;
+      if (local && best < 0) best = 0;
+      current[j] = best;
+
+      if (directions) {
+        if (local && best === 0) {
+          directions[offset + j] = TRACE_NONE;
+        } else if (best === match) {
+          directions[offset + j] = TRACE_DIAG;
+        } else if (best === deleteGap) {
+          directions[offset + j] = TRACE_UP;
+        } else {
+          directions[offset + j] = TRACE_LEFT;
+        }
+      }
+    }
+
+    substitution[code1] = mismatchPenalty;
+    if (near) {
+      for (const code2 of near.keys()) substitution[code2] = mismatchPenalty;
+    }
+
+    if (onRow) onRow(i, current);
+
+    // Rotate buffers, never writing into the caller's row
+    const finished = current;
+    current = previous === scores ? spare : previous;
+    previous = finished;
+  }
+
+  return previous;
+}
+
+/**
+ * Run the forward pass over the whole score matrix, one row at a time, and
+ * find the cell where the best alignment ends.
+ * Local: highest score anywhere (first one in row order on ties).
+ * Semi-global: trailing gaps are free, so the highest score on the last row
+ * or column, preferring the bottom-right corner on ties.
+ * @param {object} aligner - State from createAligner()
+ * @returns {object} { maxScore, maxPos: { i, j } }
+ */
+function findAlignmentEnd(aligner) {
+  const n = aligner.codes1.length;
+  const m = aligner.codes2.length;
+  const lastColumn = new Float64Array(n + 1);
+
+  let maxScore = 0;
+  let maxPos = { i: 0, j: 0 };
+
+  const lastRow = advanceScoreRows(
+    aligner,
+    new Float64Array(m + 1),
+    0,
+    n,
+    null,
+    (i, scores) => {
+      lastColumn[i] = scores[m];
+
+      if (aligner.local) {
+        for (let j = 1; j <= m; j++) {
+          if (scores[j] > maxScore) {
+            maxScore = scores[j];
+            maxPos = { i, j };
+          }
+        }
+      }
+
+      if (aligner.onProgress) {
+        const start = aligner.forwardProgressStart;
+        aligner.onProgress(start + (i / n) * (0.5 - start));
+      }
+    }
+  );
+
+  if (!aligner.local) {
+    maxScore = lastRow[m];
+    maxPos = { i: n, j: m };
+
+    for (let i = 0; i < n; i++) {
+      if (lastColumn[i] > maxScore) {
+        maxScore = lastColumn[i];
+        maxPos = { i, j: m };
+      }
+    }
+    for (let j = 0; j < m; j++) {
+      if (lastRow[j] > maxScore) {
+        maxScore = lastRow[j];
+        maxPos = { i: n, j };
+      }
+    }
+  }
+
+  return { maxScore, maxPos };
+}
+
+/**
+ * Follow the alignment path back from (bottomRow, endCol) until it reaches
+ * topRow or the start of the alignment, appending steps in reverse order.
+ * Large row ranges are split in half: the scores of the middle row are
+ * recomputed, the lower half is traced first, and the upper half continues
+ * from the column where the path crossed the middle row.
+ * @param {object} aligner - State from createAligner()
+ * @param {number} topRow - Row where this part of the path ends
+ * @param {number} bottomRow - Row where this part of the path starts
+ * @param {Float64Array} topScores - Scores of topRow, columns 0..endCol
+ * @param {number} endCol - Column of the path on bottomRow
+ * @param {object[]} steps - Collected alignment steps (reverse order)
+ * @param {object} progress - { done, total } rows traced so far
+ * @returns {object} { i, j, stopped } where the walk ended
+ */
+function traceRows(
+  aligner,
+  topRow,
+  bottomRow,
+  topScores,
+  endCol,
+  steps,
+  progress
+) {
+  if (bottomRow - topRow > TRACE_BLOCK_ROWS) {
+    const middleRow = Math.floor((topRow + bottomRow) / 2);
+    const middleScores = advanceScoreRows(
+      aligner,
+      topScores,
+      topRow,
+      middleRow,
+      null
+    );
+
+    const lower = traceRows(
+      aligner,
+      middleRow,
+      bottomRow,
+      middleScores,
+      endCol,
+      steps,
+      progress
+    );
+    if (lower.stopped) return lower;
+
+    return traceRows(
+      aligner,
+      topRow,
+      middleRow,
+      topScores.subarray(0, lower.j + 1),
+      lower.j,
+      steps,
+      progress
+    );
+  }
+
+  const { seq1, seq2, codes1, codes2, nearMatches } = aligner;
+  const width = endCol + 1;
+  const directions = new Uint8Array((bottomRow - topRow) * width);
+  advanceScoreRows(aligner, topScores, topRow, bottomRow, directions);
+
+  let i = bottomRow;
+  let j = endCol;
+  let stopped = false;
+
+  while (i > topRow) {
+    const direction =
+      j > 0 ? directions[(i - topRow - 1) * width + j] : TRACE_NONE;
+    if (direction === TRACE_NONE) {
+      stopped = true;
+      break;
+    }
+
+    const step = {
+      index1: i - 1,
+      index2: j - 1,
+      word1: null,
+      word2: null,
+      type: null,
+    };
+
+    if (direction === TRACE_DIAG) {
+      const code1 = codes1[i - 1];
+      const code2 = codes2[j - 1];
+      const near = nearMatches.get(code1);
+      step.word1 = seq1[i - 1];
+      step.word2 = seq2[j - 1];
+      if (code1 === code2 && code1 !== 0) {
+        step.type = "match";
+      } else if (near && near.has(code2)) {
+        step.type = "near";
+      } else {
+        step.type = "mismatch";
+      }
+      i--;
+      j--;
+    } else if (direction === TRACE_UP) {
+      step.word1 = seq1[i - 1];
+      step.word2 = null;
+      step.type = "gap2"; // Gap in seq2
+      i--;
+    } else {
+      step.word1 = null;
+      step.word2 = seq2[j - 1];
+      step.type = "gap1"; // Gap in seq1
+      j--;
+    }
+
+    steps.push(step);
+  }
+
+  progress.done += bottomRow - topRow;
+  if (aligner.onProgress && progress.total > 0) {
+    aligner.onProgress(0.5 + Math.min(progress.done / progress.total, 1) * 0.5);
+  }
+
+  return { i, j, stopped };
+}
+
+/**
+ * Reconstruct the best alignment path ending at maxPos.
+ * A local path stops at the first cell scoring 0; a semi-global path runs
+ * until it reaches the first row or column.
+ * @param {object} aligner - State from createAligner()
+ * @param {object} maxPos - Coordinates of the cell where the alignment ends
+ * @returns {object[]} Array of alignment steps (match, near, mismatch, gap);
+ *   a gap step has null for the word missing on its side
+ */
+function traceback(aligner, maxPos) {
+  const steps = [];
+  const progress = { done: 0, total: maxPos.i };
+
+  traceRows(
+    aligner,
+    0,
+    maxPos.i,
+    new Float64Array(maxPos.j + 1),
+    maxPos.j,
+    steps,
+    progress
+  );
+
+  steps.reverse();
+  return steps;
+}
+
+/**
+ * Align two word sequences and return steps covering both from start to end.
+ * @param {string[]} seq1 - First sequence (original words)
+ * @param {string[]} seq2 - Second sequence (revised words)
+ * @param {object} options - See createAligner()
+ * @returns {object[]} Alignment steps (match, near, mismatch, gap1, gap2)
+ */
+function alignSequences(seq1, seq2, options) {
+  const aligner = createAligner(seq1, seq2, options);
+  const { maxPos } = findAlignmentEnd(aligner);
+  return completeAlignment(traceback(aligner, maxPos), seq1, seq2);
+}
+
+/**
+ * Extend an alignment path so it covers both sequences from start to end.
+ * Words before the path become leading gaps and words after it trailing gaps,
+ * placed next to the path so they end up in the neighbouring segments.
+ * @param {object[]} alignment - Result from traceback()
+ * @param {string[]} seq1 - First sequence (words)
+ * @param {string[]} seq2 - Second sequence (words)
+ * @returns {object[]} Alignment steps covering every word of both sequences
+ */
+function completeAlignment(alignment, seq1, seq2) {
+  // Cells where the path starts and ends (an empty path covers nothing)
+  let start = { i: 0, j: 0 };
+  let end = { i: 0, j: 0 };
+
+  if (alignment.length > 0) {
+    const first = alignment[0];
+    const last = alignment[alignment.length - 1];
+
+    if (first.type === "gap2") {
+      start = { i: first.index1, j: first.index2 + 1 };
+    } else if (first.type === "gap1") {
+      start = { i: first.index1 + 1, j: first.index2 };
+    } else {
+      start = { i: first.index1, j: first.index2 };
+    }
+    end = { i: last.index1 + 1, j: last.index2 + 1 };
+  }
+
+  const leading = [];
+  for (let i = 0; i < start.i; i++) {
+    leading.push({
+      index1: i,
+      index2: start.j - 1,
+      word1: seq1[i],
+      word2: null,
+      type: "gap2",
+    });
+  }
+  for (let j = 0; j < start.j; j++) {
+    leading.push({
+      index1: start.i - 1,
+      index2: j,
+      word1: null,
+      word2: seq2[j],
+      type: "gap1",
+    });
+  }
+
+  const trailing = [];
+  for (let j = end.j; j < seq2.length; j++) {
+    trailing.push({
+      index1: end.i - 1,
+      index2: j,
+      word1: null,
+      word2: seq2[j],
+      type: "gap1",
+    });
+  }
+  for (let i = end.i; i < seq1.length; i++) {
+    trailing.push({
+      index1: i,
+      index2: seq2.length - 1,
+      word1: seq1[i],
+      word2: null,
+      type: "gap2",
+    });
+  }
+
+  return [...leading, ...alignment, ...trailing];
+}
+/**
+ * Calculate the start/end word indices of each original segment within the
+ * flattened original word sequence (end is exclusive).
+ * @param {object[]} parsedSubsOriginal - Original subtitle segments
+ * @returns {object[]} Array of { start, end } per segment
+ */
+function computeSegmentBoundaries(parsedSubsOriginal) {
+  const segmentBoundaries = [];
+
+  let currentWordIndex = 0;
+  for (let i = 0; i < parsedSubsOriginal.length; i++) {
+    const segmentWords = tokenizeWords(parsedSubsOriginal[i].text);
+    const startIndex = currentWordIndex;
+    const endIndex = startIndex + segmentWords.length;
+    segmentBoundaries.push({ start: startIndex, end: endIndex });
+    currentWordIndex = endIndex;
+  }
+
+  return segmentBoundaries;
+}
+
+/**
+ * Split the alignment steps by the original segment they fall into.
+ * Gap1 steps (inserted revised words) go with the original word before them.
+ * @param {object[]} alignment - Result from alignSequences()
+ * @param {object[]} segmentBoundaries - Result from computeSegmentBoundaries()
+ * @returns {object[][]} Alignment steps for each segment
+ */
+function groupAlignmentBySegment(alignment, segmentBoundaries) {
+  const segmentSteps = segmentBoundaries.map(() => []);
+  let currentSegmentIndex = 0;
+
+  for (const step of alignment) {
+    // Words inserted before the first original word belong to the first segment
+    const originalWordIndex = Math.max(step.index1, 0);
+
+    // If current word exceeds segment end, move on to the next segment
+    while (
+      currentSegmentIndex < segmentBoundaries.length &&
+      originalWordIndex >= segmentBoundaries[currentSegmentIndex].end
+    ) {
+      currentSegmentIndex++;
+    }
+
+    if (currentSegmentIndex >= segmentBoundaries.length) break;
+
+    if (originalWordIndex >= segmentBoundaries[currentSegmentIndex].start) {
+      segmentSteps[currentSegmentIndex].push(step);
+    }
+  }
+
+  return segmentSteps;
+}
+
+/**
+ * Maps aligned words from the revised text (word2) back into original subtitle segments.
+ * Preserves the segment structure from the original parsed subtitles.
+ * @param {object[][]} segmentSteps - Result from groupAlignmentBySegment()
+ * @returns {string[]} Aligned revised text segments, matching the original segment structure
+ */
+function mapAlignmentToSegments(segmentSteps) {
+  return segmentSteps.map((steps) =>
+    joinWords(
+      steps.filter((step) => step.word2 !== null).map((step) => step.word2)
+    )
+  );
+}
+
+/**
+ * Move a cue's inline tags from its original words to the revised words those
+ * were aligned with. A tag before the first word stays at the start, a tag
+ * after the last word stays at the end, and a tag in front of a deleted word
+ * moves to the next revised word. Tag positions count space-separated words,
+ * so tokens that continue a word (see tokenizeWords()) are not counted.
+ * @param {object[]} [tags] - Inline tags of the original cue ({ position, ... })
+ * @param {object[]} steps - Alignment steps of that cue
+ * @param {number} originalWordCount - Number of words in the original cue
+ * @returns {object[]|undefined} Tags positioned on the revised words
+ */
+function mapCueTags(tags, steps, originalWordCount) {
+  if (!tags || tags.length === 0) return tags;
+
+  const startsWord = (word, count) =>
+    count === 0 || !word.startsWith(WORD_JOINER);
+
+  // Revised words placed before each original word of the cue
+  const revisedBefore = [];
+  let revisedCount = 0;
+  for (const step of steps) {
+    if (step.word1 !== null && startsWord(step.word1, revisedBefore.length)) {
+      revisedBefore.push(revisedCount);
+    }
+    if (step.word2 !== null && startsWord(step.word2, revisedCount)) {
+      revisedCount++;
+    }
+  }
+
+  return tags.map((tag) => {
+    let position = revisedCount;
+    if (tag.position <= 0) {
+      position = 0;
+    } else if (tag.position < originalWordCount) {
+      position = revisedBefore[tag.position];
+    }
+    return { ...tag, position };
+  });
+}
+
+// --- Annotation Passthrough ---
+
+/**
+ * Take the SDH annotations (see findSdhAnnotations()) out of the original
+ * cues, so only their speech is aligned. A cue whose speech would not split
+ * back into the same words keeps its annotations in the alignment.
+ * @param {object[]} subtitles - Parsed subtitles
+ * @returns {object} { speechSubtitles, speechToFull, annotations } where
+ *   speechSubtitles are the cues with only their speech as text,
+ *   speechToFull maps each speech word index to its index among all original
+ *   words, and annotations holds the { index1, word } of each cue's
+ *   annotation words
+ */
+function separateSdhAnnotations(subtitles) {
+  const speechSubtitles = [];
+  const speechToFull = [];
+  const annotations = [];
+  let fullIndex = 0;
+
+  for (const sub of subtitles) {
+    const words = tokenizeWords(sub.text);
+    let annotated = findSdhAnnotations(words);
+    const speech = words.filter((word, n) => !annotated[n]);
+    const text = joinWords(speech);
+    if (tokenizeWords(text).length !== speech.length) {
+      annotated = words.map(() => false);
+    }
+
+    const cueAnnotations = [];
+    words.forEach((word, n) => {
+      if (annotated[n]) {
+        cueAnnotations.push({ index1: fullIndex + n, word });
+      } else {
+        speechToFull.push(fullIndex + n);
+      }
+    });
+
+    speechSubtitles.push(cueAnnotations.length > 0 ? { ...sub, text } : sub);
+    annotations.push(cueAnnotations);
+    fullIndex += words.length;
+  }
+
+  return { speechSubtitles, speechToFull, annotations };
+}
+
+/**
+ * Put the SDH annotations taken out by separateSdhAnnotations() back into
+ * the steps of their cues, unchanged and at their original positions. The
+ * steps are renumbered to count all original words again; annotations
+ * become steps of type "annotation" that carry the same word on both sides.
+ * @param {object[][]} segmentSteps - Alignment steps of each cue, counting
+ *   speech words only
+ * @param {object} separated - Result from separateSdhAnnotations()
+ * @returns {object[][]} Steps of each cue, counting all original words
+ */
+function restoreSdhAnnotations(segmentSteps, separated) {
+  const { speechToFull, annotations } = separated;
+
+  return segmentSteps.map((steps, cue) => {
+    const pending = annotations[cue];
+    const restored = [];
+    let next = 0;
+
+    const addAnnotationsBefore = (index1) => {
+      while (next < pending.length && pending[next].index1 < index1) {
+        const { index1: annotationIndex, word } = pending[next++];
+        restored.push({
+          index1: annotationIndex,
+          index2: -1,
+          word1: word,
+          word2: word,
+          type: "annotation",
+        });
+      }
+    };
+
+    for (const step of steps) {
+      const index1 = step.index1 < 0 ? step.index1 : speechToFull[step.index1];
+      // Inserted words stay after the original word they follow
+      addAnnotationsBefore(step.word1 === null ? index1 + 1 : index1);
+      restored.push({ ...step, index1 });
+    }
+    addAnnotationsBefore(Infinity);
+
+    return restored;
+  });
+}
+
+// --- Boundary Refinement ---
+
+// Default limit for refineSegmentBoundaries(): how far (in estimated time)
+// a word may be from the cue boundary it is moved across
+const DEFAULT_REFINEMENT_OPTIONS = {
+  toleranceMillis: 1500,
+};
+
+/**
+ * How strongly the text may break after a word: 2 after a sentence end,
+ * 1 after a clause end, 0 elsewhere.
+ * @param {string} word - Word to check
+ * @returns {number} Break strength
+ */
+function breakStrengthAfter(word) {
+  if (SENTENCE_END_PATTERN.test(word)) return 2;
+  if (CLAUSE_END_PATTERN.test(word)) return 1;
+  return 0;
+}
+
+/**
+ * Estimate when each revised word of a cue is spoken, by spreading the
+ * cue's time over its words in proportion to their length.
+ * @param {string[]} words - Revised words of the cue
+ * @param {object} cue - Original cue (startMillis, endMillis)
+ * @returns {number[]} Estimated time of the middle of each word
+ */
+function estimateWordTimes(words, cue) {
+  const totalChars = words.reduce((sum, word) => sum + word.length + 1, 0);
+  const duration = cue.endMillis - cue.startMillis;
+  let charsBefore = 0;
+
+  return words.map((word) => {
+    const middle = charsBefore + (word.length + 1) / 2;
+    charsBefore += word.length + 1;
+    return cue.startMillis + (middle / totalChars) * duration;
+  });
+}
+
+/**
+ * Move the last revised words of one cue's steps to the start of the next
+ * cue's steps. Inserted words move as they are; a word aligned with an
+ * original word leaves that word behind as deleted and arrives as inserted,
+ * so both cues keep their original words.
+ * @param {object[]} fromSteps - Steps of the earlier cue
+ * @param {object[]} toSteps - Steps of the later cue
+ * @param {number} count - Revised words to move
+ * @param {number} toFirstIndex - First original word index of the later cue
+ * @returns {object[][]} New steps of both cues
+ */
+function moveWordsForward(fromSteps, toSteps, count, toFirstIndex) {
+  const kept = [...fromSteps];
+  const moved = [];
+
+  for (let n = kept.length - 1; n >= 0 && moved.length < count; n--) {
+    const step = kept[n];
+    if (step.word2 === null) continue;
+
+    moved.unshift({
+      ...step,
+      index1: toFirstIndex,
+      word1: null,
+      type: "gap1",
+    });
+    if (step.word1 === null) {
+      kept.splice(n, 1);
+    } else {
+      kept[n] = { ...step, word2: null, type: "gap2" };
+    }
+  }
+
+  return [kept, [...moved, ...toSteps]];
+}
+
+/**
+ * Move the first revised words of one cue's steps to the end of the
+ * previous cue's steps, the mirror image of moveWordsForward().
+ * @param {object[]} toSteps - Steps of the earlier cue
+ * @param {object[]} fromSteps - Steps of the later cue
+ * @param {number} count - Revised words to move
+ * @param {number} toLastIndex - Last original word index of the earlier cue
+ * @returns {object[][]} New steps of both cues
+ */
+function moveWordsBack(toSteps, fromSteps, count, toLastIndex) {
+  const kept = [...fromSteps];
+  const moved = [];
+
+  for (let n = 0; n < kept.length && moved.length < count; n++) {
+    const step = kept[n];
+    if (step.word2 === null) continue;
+
+    moved.push({ ...step, index1: toLastIndex, word1: null, type: "gap1" });
+    if (step.word1 === null) {
+      kept.splice(n, 1);
+      n--;
+    } else {
+      kept[n] = { ...step, word2: null, type: "gap2" };
+    }
+  }
+
+  return [[...toSteps, ...moved], kept];
+}
+
+/**
+ * Nudge the boundaries between neighbouring cues towards sentence and clause
+ * breaks. When a cue ends mid-sentence but a break sits a few words away,
+ * those words move across the boundary, as long as each of them is estimated
+ * to be spoken within the time tolerance of the boundary. The strongest
+ * break wins, then the one fewest words away; both cues keep at least one
+ * revised word.
+ * @param {object[][]} segmentSteps - Result from groupAlignmentBySegment()
+ * @param {object[]} subtitles - Original cues (for their timing)
+ * @param {object[]} segmentBoundaries - Result from computeSegmentBoundaries()
+ * @param {object} [options] - { toleranceMillis }
+ * @returns {object[][]} Refined alignment steps for each segment
+ */
+function refineSegmentBoundaries(
+  segmentSteps,
+  subtitles,
+  segmentBoundaries,
+  options
+) {
+  const { toleranceMillis } = { ...DEFAULT_REFINEMENT_OPTIONS, ...options };
+  const refined = [...segmentSteps];
+  const revisedWords = (steps) =>
+    steps.filter((step) => step.word2 !== null).map((step) => step.word2);
+
+  for (let k = 0; k + 1 < refined.length; k++) {
+    const words = revisedWords(refined[k]);
+    const nextWords = revisedWords(refined[k + 1]);
+    if (words.length === 0 || nextWords.length === 0) continue;
+
+    const strength = breakStrengthAfter(words[words.length - 1]);
+    if (strength === 2) continue;
+
+    const boundaryStart = subtitles[k].endMillis;
+    const boundaryEnd = Math.max(boundaryStart, subtitles[k + 1].startMillis);
+    let best = { strength, move: 0 };
+
+    // Later words moving back into this cue, nearest first
+    const nextTimes = estimateWordTimes(nextWords, subtitles[k + 1]);
+    for (let n = 0; n + 1 < nextWords.length; n++) {
+      if (nextTimes[n] - boundaryEnd > toleranceMillis) break;
+      const candidate = breakStrengthAfter(nextWords[n]);
+      if (candidate > best.strength)
+        best = { strength: candidate, move: n + 1 };
+    }
+
+    // Words of this cue moving on to the next one, nearest first
+    const times = estimateWordTimes(words, subtitles[k]);
+    for (let n = words.length - 2; n >= 0; n--) {
+      if (boundaryStart - times[n + 1] > toleranceMillis) break;
+      const candidate = breakStrengthAfter(words[n]);
+      const move = words.length - 1 - n;
+      if (
+        candidate > best.strength ||
+        (candidate === best.strength &&
+          best.move !== 0 &&
+          move < Math.abs(best.move))
+      ) {
+        best = { strength: candidate, move: -move };
+      }
+    }
+
+    if (best.move > 0) {
+      [refined[k], refined[k + 1]] = moveWordsBack(
+        refined[k],
+        refined[k + 1],
+        best.move,
+        segmentBoundaries[k].end - 1
+      );
+    } else if (best.move < 0) {
+      [refined[k], refined[k + 1]] = moveWordsForward(
+        refined[k],
+        refined[k + 1],
+        -best.move,
+        segmentBoundaries[k + 1].start
+      );
+    }
+  }
+
+  return refined;
+}
+
+// --- Alignment Confidence ---
+
+/**
+ * Count the alignment step types in a list of steps.
+ * @param {object[]} steps - Alignment steps
+ * @returns {object} { match, near, mismatch, gap1, gap2, translated }
+ */
+function countAlignmentSteps(steps) {
+  const counts = {
+    match: 0,
+    near: 0,
+    mismatch: 0,
+    gap1: 0,
+    gap2: 0,
+    translated: 0,
+  };
+  for (const step of steps) {
+    counts[step.type]++;
+  }
+  return counts;
+}
+
+/**
+ * Share of alignment steps that are exact matches, from 0 to 1.
+ * Every substitution, inserted word (gap1) and deleted word (gap2) lowers it;
+ * near matches count as half a match.
+ * A segment without any step has nothing to doubt and scores 1.
+ * @param {object} counts - Result from countAlignmentSteps()
+ * @returns {number} Confidence between 0 and 1
+ */
+function computeConfidence(counts) {
+  const total =
+    counts.match + counts.near + counts.mismatch + counts.gap1 + counts.gap2;
+  return total === 0 ? 1 : (counts.match + counts.near / 2) / total;
+}
@@ -0,0 +1,405 @@
+// --- Anchored Alignment ---
+//
+// Manual pins: "this stretch of the revised text belongs in cue N". Pins are
+// hard constraints that split the alignment into independent regions. Each
+// pinned stretch is aligned with its own cue only, and the text between two
+// pins with the original words between those cues. A region that the
+// previous alignment of the same texts had too keeps its steps, so adding or
+// removing a pin only re-aligns the regions around it.
+
+/**
+ * Turn pins on the revised text into ranges of revised words. Pins on the
+ * same cue are merged; pins out of cue order or overlapping each other are
+ * rejected.
+ * @param {object[]} pins - { start, end, cue }: character offsets into the
+ *   revised text and the position of the cue (0-based) the text belongs in
+ * @param {string} revisedText - Revised text the offsets refer to
+ * @param {object[]} segmentBoundaries - Result from computeSegmentBoundaries()
+ * @returns {object[]} Anchors { start2, end2, cue } in text order
+ */
+function resolvePinnedWords(pins, revisedText, segmentBoundaries) {
+  const wordsBefore = (offset) =>
+    tokenizeWords(revisedText.slice(0, offset)).length;
+
+  const anchors = pins
+    .map((pin) => {
+      let start2 = wordsBefore(pin.start);
+      // A pin starting inside a word takes the whole word
+      if (
+        pin.start > 0 &&
+        /\S\S/.test(revisedText.slice(pin.start - 1, pin.start + 1))
+      ) {
+        start2--;
+      }
+      return { start2, end2: wordsBefore(pin.end), cue: pin.cue };
+    })
+    .filter((anchor) => anchor.end2 > anchor.start2)
+    .sort((a, b) => a.start2 - b.start2);
+
+  const merged = [];
+  for (const anchor of anchors) {
+    const boundary = segmentBoundaries[anchor.cue];
+    if (!boundary || boundary.end === boundary.start) {
+      throw new Error(`Cue ${anchor.cue + 1} has no text to pin to.`);
+    }
+
+    const last = merged[merged.length - 1];
+    if (last && anchor.cue === last.cue) {
+      last.end2 = Math.max(last.end2, anchor.end2);
+      continue;
+    }
+    if (last && anchor.cue < last.cue) {
+      throw new Error(
+        `Pinned text must follow the order of the cues: text pinned to cue ${
+          anchor.cue + 1
+        } comes after text pinned to cue ${last.cue + 1}.`
+      );
+    }
+    if (last && anchor.start2 < last.end2) {
+      throw new Error(
+        `Text pinned to cues ${last.cue + 1} and ${anchor.cue + 1} overlaps.`
+      );
+    }
+    merged.push({ ...anchor });
+  }
+
+  return merged;
+}
+
+/**
+ * Find the original words of a cue that a pinned stretch corresponds to:
+ * the stretch matched by a local alignment, or the whole cue when nothing
+ * matches. Original words of the cue outside that stretch stay free, so
+ * unpinned revised words next to the pin can still join the cue.
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} seq2 - Revised words
+ * @param {object} anchor - { start2, end2, cue } from resolvePinnedWords()
+ * @param {object} boundary - The cue's { start, end } original word range
+ * @param {object} options - Aligner options (see createAligner())
+ * @returns {object} { start1, end1 } original word range
+ */
+function locatePinnedWords(seq1, seq2, anchor, boundary, options) {
+  const aligner = createAligner(
+    seq1.slice(boundary.start, boundary.end),
+    seq2.slice(anchor.start2, anchor.end2),
+    { ...options, mode: "local", onProgress: null }
+  );
+  const { maxScore, maxPos } = findAlignmentEnd(aligner);
+  const matched = traceback(aligner, maxPos).filter(
+    (step) => step.type !== "gap1"
+  );
+  if (maxScore <= 0 || matched.length === 0) {
+    return { start1: boundary.start, end1: boundary.end };
+  }
+
+  return {
+    start1: boundary.start + matched[0].index1,
+    end1: boundary.start + matched[matched.length - 1].index1 + 1,
+  };
+}
+
+/**
+ * Position of the step boundary where an alignment path has consumed
+ * exactly the given numbers of original and revised words.
+ * @param {object[]} alignment - Alignment steps
+ * @returns {Map<string, number>} Step position by "originalCount,revisedCount"
+ */
+function indexPathCorners(alignment) {
+  const corners = new Map([["0,0", 0]]);
+  let count1 = 0;
+  let count2 = 0;
+
+  alignment.forEach((step, position) => {
+    if (step.type !== "gap1") count1++;
+    if (step.type !== "gap2") count2++;
+    corners.set(`${count1},${count2}`, position + 1);
+  });
+
+  return corners;
+}
+
+/**
+ * Align one region, from corner { i, j } to corner { i, j } (original and
+ * revised word counts), giving steps with indices into the full sequences.
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} seq2 - Revised words
+ * @param {object} from - Corner where the region starts
+ * @param {object} to - Corner where the region ends
+ * @param {object} options - Aligner options (see createAligner())
+ * @returns {object[]} Alignment steps of the region
+ */
+function alignRegion(seq1, seq2, from, to, options) {
+  const steps = [];
+
+  if (to.j === from.j) {
+    for (let i = from.i; i < to.i; i++) {
+      steps.push({
+        index1: i,
+        index2: from.j - 1,
+        word1: seq1[i],
+        word2: null,
+        type: "gap2",
+      });
+    }
+    return steps;
+  }
+
+  if (to.i === from.i) {
+    for (let j = from.j; j < to.j; j++) {
+      steps.push({
+        index1: from.i - 1,
+        index2: j,
+        word1: null,
+        word2: seq2[j],
+        type: "gap1",
+      });
+    }
+    return steps;
+  }
+
+  return alignSequences(
+    seq1.slice(from.i, to.i),
+    seq2.slice(from.j, to.j),
+    options
+  ).map((step) => ({
+    ...step,
+    index1: step.index1 + from.i,
+    index2: step.index2 + from.j,
+  }));
+}
+
+/**
+ * Align two word sequences with pinned stretches as hard constraints. The
+ * pins split both sequences into regions that are aligned independently;
+ * regions the previous alignment of the same texts had as well reuse its
+ * steps.
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} seq2 - Revised words
+ * @param {object} options - Aligner options (see createAligner()) plus
+ *   { anchors, segmentBoundaries, previousAlignment } where anchors come
+ *   from resolvePinnedWords() and previousAlignment (optional) is the result
+ *   of an earlier call for the same two sequences
+ * @returns {object} { alignment, corners }: steps covering both sequences,
+ *   and the corners ({ i, j } word counts) between the regions
+ */
+function alignWithAnchors(seq1, seq2, options) {
+  const {
+    anchors = [],
+    segmentBoundaries,
+    previousAlignment,
+    onProgress,
+    ...alignerOptions
+  } = options;
+
+  // Corners between regions, and whether each region is a pinned one
+  const corners = [{ i: 0, j: 0 }];
+  const pinned = [];
+  for (const anchor of anchors) {
+    const { start1, end1 } = locatePinnedWords(
+      seq1,
+      seq2,
+      anchor,
+      segmentBoundaries[anchor.cue],
+      alignerOptions
+    );
+    corners.push({ i: start1, j: anchor.start2 }, { i: end1, j: anchor.end2 });
+    pinned.push(false, true);
+  }
+  corners.push({ i: seq1.length, j: seq2.length });
+  pinned.push(false);
+
+  // Regions of the previous alignment, by their corners
+  const cornerKey = ({ i, j }) => `${i},${j}`;
+  const regionKey = (from, to) => `${cornerKey(from)}-${cornerKey(to)}`;
+  const previousRegions = new Set();
+  let previousSteps = new Map();
+  if (previousAlignment) {
+    const previousCorners = previousAlignment.corners;
+    for (let n = 0; n + 1 < previousCorners.length; n++) {
+      previousRegions.add(
+        regionKey(previousCorners[n], previousCorners[n + 1])
+      );
+    }
+    previousSteps = indexPathCorners(previousAlignment.alignment);
+  }
+
+  const totalRows = seq1.length || 1;
+  const alignment = [];
+
+  for (let region = 0; region + 1 < corners.length; region++) {
+    const from = corners[region];
+    const to = corners[region + 1];
+    const rowsBefore = from.i;
+    const rows = to.i - from.i;
+
+    let steps;
+    if (
+      previousRegions.has(regionKey(from, to)) &&
+      previousSteps.has(cornerKey(from)) &&
+      previousSteps.has(cornerKey(to))
+    ) {
+      steps = previousAlignment.alignment.slice(
+        previousSteps.get(cornerKey(from)),
+        previousSteps.get(cornerKey(to))
+      );
+    } else {
+      steps = alignRegion(seq1, seq2, from, to, {
+        ...alignerOptions,
+        onProgress: onProgress
+          ? (fraction) => onProgress((rowsBefore + fraction * rows) / totalRows)
+          : null,
+      });
+    }
+
+    // Revised words inserted at the start of a pinned stretch stay in its cue
+    if (pinned[region]) {
+      steps = steps.map((step) =>
+        step.index1 < from.i ? { ...step, index1: from.i } : step
+      );
+    }
+
+    alignment.push(...steps);
+  }
+
+  if (onProgress) onProgress(1);
+  return { alignment, corners };
+}
+
+// --- Incremental Re-alignment ---
+
+// Cues re-aligned on each side of the cues an edit touched
+const EDIT_WINDOW_MARGIN_CUES = 1;
+
+/**
+ * Count the original and revised words a run of alignment steps consumes:
+ * a gap has a word on one side only, every other step one on each side.
+ * @param {object[]} steps - Alignment steps
+ * @returns {object} { i, j } original and revised word counts
+ */
+function countStepWords(steps) {
+  let i = 0;
+  let j = 0;
+  for (const step of steps) {
+    if (step.type !== "gap1") i++;
+    if (step.type !== "gap2") j++;
+  }
+  return { i, j };
+}
+
+/**
+ * Carry an alignment over to an edited revised text. The words before the
+ * first and after the last difference are unchanged; only the cues whose
+ * revised words changed (plus a margin) are aligned again, and the steps
+ * after them are shifted to the new word positions.
+ * @param {object} previous - { alignment, corners } from alignWithAnchors()
+ *   for the old revised words
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} oldSeq2 - Revised words the previous alignment used
+ * @param {string[]} seq2 - Revised words after the edit
+ * @param {object[]} segmentBoundaries - Result from computeSegmentBoundaries()
+ * @param {object} options - Aligner options (see createAligner())
+ * @returns {object|null} { alignment, corners } for the new revised words,
+ *   or null when the previous alignment cannot be carried over
+ */
+function updateAlignmentForEdit(
+  previous,
+  seq1,
+  oldSeq2,
+  seq2,
+  segmentBoundaries,
+  options
+) {
+  let prefix = 0;
+  while (
+    prefix < oldSeq2.length &&
+    prefix < seq2.length &&
+    oldSeq2[prefix] === seq2[prefix]
+  ) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldSeq2.length - prefix &&
+    suffix < seq2.length - prefix &&
+    oldSeq2[oldSeq2.length - 1 - suffix] === seq2[seq2.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  if (prefix === oldSeq2.length && prefix === seq2.length) return previous;
+
+  const oldEnd = oldSeq2.length - suffix;
+  const shift = seq2.length - oldSeq2.length;
+  const { alignment } = previous;
+
+  // An alignment of other words than these cannot be carried over
+  const total = countStepWords(alignment);
+  if (total.i !== seq1.length || total.j !== oldSeq2.length) return null;
+
+  // Cue of every step, the same way groupAlignmentBySegment() assigns them
+  let cue = 0;
+  const cueOfStep = alignment.map((step) => {
+    while (
+      cue < segmentBoundaries.length - 1 &&
+      Math.max(step.index1, 0) >= segmentBoundaries[cue].end
+    ) {
+      cue++;
+    }
+    return cue;
+  });
+
+  // Cues holding a changed word, or the words on either side of an insertion
+  let firstCue = Infinity;
+  let lastCue = -Infinity;
+  alignment.forEach((step, position) => {
+    if (step.type === "gap2") return;
+    if (step.index2 >= prefix - 1 && step.index2 <= oldEnd) {
+      firstCue = Math.min(firstCue, cueOfStep[position]);
+      lastCue = Math.max(lastCue, cueOfStep[position]);
+    }
+  });
+  if (firstCue > lastCue) return null;
+  firstCue -= EDIT_WINDOW_MARGIN_CUES;
+  lastCue += EDIT_WINDOW_MARGIN_CUES;
+
+  // Step positions where the window starts and ends, and the word counts
+  // consumed at those points
+  let start = cueOfStep.findIndex((stepCue) => stepCue >= firstCue);
+  let end = cueOfStep.findIndex((stepCue) => stepCue > lastCue);
+  if (start === -1) start = alignment.length;
+  if (end === -1) end = alignment.length;
+
+  const from = countStepWords(alignment.slice(0, start));
+  const to = countStepWords(alignment.slice(0, end));
+  if (from.j > prefix || to.j < oldEnd) return null;
+  if (to.i > seq1.length || to.j + shift > seq2.length) return null;
+
+  const windowSteps = alignRegion(
+    seq1,
+    seq2,
+    from,
+    { i: to.i, j: to.j + shift },
+    options
+  );
+  const stepsAfter = alignment.slice(end).map((step) => ({
+    ...step,
+    index2: step.index2 + shift,
+  }));
+
+  // Region corners inside the window are gone; the ones after it move along
+  const corners = previous.corners
+    .filter(
+      (corner) =>
+        (corner.i <= from.i && corner.j <= from.j) ||
+        (corner.i >= to.i && corner.j >= to.j)
+    )
+    .map((corner) =>
+      corner.i >= to.i && corner.j >= to.j
+        ? { i: corner.i, j: corner.j + shift }
+        : corner
+    );
+
+  return {
+    alignment: [...alignment.slice(0, start), ...windowSteps, ...stepsAfter],
+    corners,
+  };
+}
@@ -0,0 +1,450 @@
+// --- Cue Editor ---
+//
+// Table-style editor for the revised cues: one row per cue with editable
+// timing and text, plus split, merge and move-word actions. Every change goes
+// through applyCueEdit() so it can be undone and redone. The subtitle file is
+// only serialised (with formatSrt/formatSbv/formatVtt) when it is downloaded.
+
+// --- Editor UI Elements ---
+const cueEditorBody = document.querySelector("#cueEditor tbody");
+const undoButton = document.getElementById("undoButton");
+const redoButton = document.getElementById("redoButton");
+
+// --- Editor State ---
+let editorCues = []; // Cues as currently edited
+let editorOriginalSubtitles = []; // Original cues, referenced by sourceIndex
+let editorLineBreaking = {}; // breakLines() options for re-laying out edited cues
+let undoStack = []; // Snapshots of editorCues before each edit
+let redoStack = []; // Snapshots undone and not yet redone
+
+// Most steps kept in the undo history
+const MAX_UNDO_STEPS = 200;
+
+/**
+ * Load freshly synced cues into the editor and clear the edit history.
+ * @param {object[]} cues - Revised cues; each keeps the sourceIndex of the
+ *   original cue it came from
+ * @param {object[]} originalSubtitles - Original parsed cues
+ * @param {object} lineBreaking - breakLines() options used for the sync
+ */
+function loadEditorCues(cues, originalSubtitles, lineBreaking) {
+  editorCues = cloneCues(cues);
+  editorOriginalSubtitles = originalSubtitles;
+  editorLineBreaking = lineBreaking || {};
+  undoStack = [];
+  redoStack = [];
+  renderCueEditor();
+}
+
+/**
+ * Bring the cues of a re-sync into the editor without losing the edits made
+ * to cues it did not change. Each editor cue stands for the original cues
+ * from its sourceIndex up to the next one in the editor (merged cues cover
+ * several); it is kept when none of those changed and replaced by the new
+ * cues otherwise. The merge can be undone like any other edit.
+ * @param {object[]} cues - Revised cues of the re-sync
+ * @param {Set<number>} changedSources - Positions of the original cues whose
+ *   result changed
+ * @param {object[]} originalSubtitles - Original parsed cues
+ * @param {object} lineBreaking - breakLines() options used for the sync
+ */
+function mergeEditorCues(
+  cues,
+  changedSources,
+  originalSubtitles,
+  lineBreaking
+) {
+  editorOriginalSubtitles = originalSubtitles;
+  editorLineBreaking = lineBreaking || {};
+
+  applyCueEdit((current) => {
+    const sources = [...new Set(current.map((cue) => cue.sourceIndex))].sort(
+      (a, b) => a - b
+    );
+
+    const keptSources = new Set();
+    sources.forEach((source, position) => {
+      const nextSource =
+        position + 1 < sources.length
+          ? sources[position + 1]
+          : originalSubtitles.length;
+      const covered = [];
+      for (let index = source; index < nextSource; index++) covered.push(index);
+
+      if (!covered.some((index) => changedSources.has(index))) {
+        for (const index of covered) keptSources.add(index);
+      }
+    });
+
+    const merged = [
+      ...current.filter((cue) => keptSources.has(cue.sourceIndex)),
+      ...cloneCues(cues).filter((cue) => !keptSources.has(cue.sourceIndex)),
+    ].sort((a, b) => a.sourceIndex - b.sourceIndex);
+
+    if (merged.length === current.length && changedSources.size === 0) {
+      return false;
+    }
+    current.splice(0, current.length, ...merged);
+  });
+}
+
+/**
+ * The cues as currently edited, ready to be formatted.
+ * @returns {object[]} Copy of the edited cues
+ */
+function getEditorCues() {
+  return cloneCues(editorCues);
+}
+
+/**
+ * Deep copy a list of cues (cues only hold plain data).
+ * @param {object[]} cues - Cues to copy
+ * @returns {object[]} Independent copy
+ */
+function cloneCues(cues) {
+  return JSON.parse(JSON.stringify(cues));
+}
+
+/**
+ * Apply a change to the cues, recording the previous state for undo.
+ * @param {Function} edit - Receives the cue array and modifies it in place;
+ *   returning false cancels the edit
+ */
+function applyCueEdit(edit) {
+  const snapshot = cloneCues(editorCues);
+  if (edit(editorCues) === false) return;
+
+  undoStack.push(snapshot);
+  if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+  redoStack = [];
+
+  // Cues whose words changed lose their line layout; break them again
+  for (const cue of editorCues) {
+    if (!cue.lines) cue.lines = breakLines(cue.text, editorLineBreaking);
+  }
+
+  renumberCues(editorCues);
+  renderCueEditor();
+}
+
+/**
+ * Undo the last edit, if any.
+ */
+function undoCueEdit() {
+  if (undoStack.length === 0) return;
+  redoStack.push(cloneCues(editorCues));
+  editorCues = undoStack.pop();
+  renderCueEditor();
+}
+
+/**
+ * Redo the last undone edit, if any.
+ */
+function redoCueEdit() {
+  if (redoStack.length === 0) return;
+  undoStack.push(cloneCues(editorCues));
+  editorCues = redoStack.pop();
+  renderCueEditor();
+}
+
+/**
+ * Number the cues 1..n in their current order.
+ * @param {object[]} cues - Cues to renumber in place
+ */
+function renumberCues(cues) {
+  cues.forEach((cue, position) => {
+    cue.index = position + 1;
+  });
+}
+
+// --- Editing Actions ---
+
+/**
+ * Replace a cue's text with what was typed in the editor. Each line of the
+ * textarea becomes one subtitle line. Inline tags anchored past the last
+ * word of the new text are dropped, and markup they left open is closed at
+ * the end of the cue.
+ * @param {number} position - Cue position in the editor
+ * @param {string} value - Textarea content
+ */
+function editCueText(position, value) {
+  const lines = value
+    .split(/\r?\n/)
+    .map((line) => normalizeSpaces(line))
+    .filter(Boolean);
+
+  applyCueEdit((cues) => {
+    const cue = cues[position];
+    cue.lines = lines;
+    cue.text = lines.join(" ");
+    if (cue.tags) {
+      const wordCount = cue.text.split(" ").filter(Boolean).length;
+      [cue.tags] = splitCueTags(cue.tags, wordCount);
+    }
+  });
+}
+
+/**
+ * Change a cue's start or end time. Invalid or inverted times are rejected.
+ * @param {number} position - Cue position in the editor
+ * @param {string} field - "startMillis" or "endMillis"
+ * @param {string} value - Time typed by the user (hh:mm:ss,mmm)
+ * @returns {boolean} Whether the time was accepted
+ */
+function editCueTime(position, field, value) {
+  const trimmed = value.trim();
+  if (!/^\d{1,2}:\d{2}:\d{2}[.,]\d{3}$/.test(trimmed)) return false;
+
+  const millis = timeToMillis(trimmed);
+  const cue = editorCues[position];
+  const start = field === "startMillis" ? millis : cue.startMillis;
+  const end = field === "endMillis" ? millis : cue.endMillis;
+  if (start >= end) return false;
+
+  applyCueEdit((cues) => {
+    cues[position][field] = millis;
+  });
+  return true;
+}
+
+/**
+ * Split a cue in two at a word boundary. The time is shared in proportion to
+ * the length of each half.
+ * @param {number} position - Cue position in the editor
+ * @param {number} [caret] - Character offset to split at; defaults to the
+ *   word boundary nearest the middle
+ */
+function splitCue(position, caret) {
+  const cue = editorCues[position];
+  const words = cue.text.split(" ").filter(Boolean);
+  if (words.length < 2) return;
+
+  // Number of words that go into the first half
+  let splitAt = Math.round(words.length / 2);
+  if (caret > 0 && caret < cue.text.length) {
+    splitAt = cue.text.slice(0, caret).split(" ").filter(Boolean).length;
+    splitAt = Math.min(Math.max(splitAt, 1), words.length - 1);
+  }
+
+  applyCueEdit((cues) => {
+    cues.splice(position, 1, ...splitCueAt(cues[position], splitAt));
+  });
+}
+
+/**
+ * Merge a cue with the one after it.
+ * @param {number} position - Cue position in the editor
+ */
+function mergeCueWithNext(position) {
+  if (position >= editorCues.length - 1) return;
+
+  applyCueEdit((cues) => {
+    const current = cues[position];
+    const next = cues[position + 1];
+    current.tags = joinCueTags(current, next);
+    current.text = normalizeSpaces(`${current.text} ${next.text}`);
+    current.endMillis = Math.max(current.endMillis, next.endMillis);
+    delete current.lines;
+    cues.splice(position + 1, 1);
+  });
+}
+
+/**
+ * Move the first word of a cue to the end of the previous cue. The word's
+ * inline tags move with it, the same way splitCue() and mergeCueWithNext()
+ * share them.
+ * @param {number} position - Cue position in the editor
+ */
+function moveFirstWordToPrevious(position) {
+  if (position === 0 || !editorCues[position].text) return;
+
+  applyCueEdit((cues) => {
+    const cue = cues[position];
+    const previous = cues[position - 1];
+    const words = cue.text.split(" ").filter(Boolean);
+    const [movedTags, keptTags] = cue.tags ? splitCueTags(cue.tags, 1) : [];
+    const moved = { text: words.shift(), tags: movedTags };
+
+    previous.tags = joinCueTags(previous, moved);
+    previous.text = normalizeSpaces(`${previous.text} ${moved.text}`);
+    cue.tags = keptTags;
+    cue.text = words.join(" ");
+    delete previous.lines;
+    delete cue.lines;
+  });
+}
+
+/**
+ * Move the last word of a cue to the start of the next cue, with its inline
+ * tags (see moveFirstWordToPrevious()).
+ * @param {number} position - Cue position in the editor
+ */
+function moveLastWordToNext(position) {
+  if (position >= editorCues.length - 1 || !editorCues[position].text) return;
+
+  applyCueEdit((cues) => {
+    const cue = cues[position];
+    const next = cues[position + 1];
+    const words = cue.text.split(" ").filter(Boolean);
+    const [keptTags, movedTags] = cue.tags
+      ? splitCueTags(cue.tags, words.length - 1)
+      : [];
+    const moved = { text: words.pop(), tags: movedTags };
+
+    next.tags = joinCueTags(moved, next);
+    next.text = normalizeSpaces(`${moved.text} ${next.text}`);
+    cue.tags = keptTags;
+    cue.text = words.join(" ");
+    delete next.lines;
+    delete cue.lines;
+  });
+}
+
+// --- Editor Rendering ---
+
+/**
+ * Create a small action button for an editor row.
+ * @param {string} label - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createEditorButton(label, title, onClick) {
+  const button = document.createElement("button");
+  button.className = "editor-action";
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Create a time input for an editor row.
+ * @param {number} position - Cue position in the editor
+ * @param {string} field - "startMillis" or "endMillis"
+ * @returns {HTMLInputElement} The input
+ */
+function createTimeInput(position, field) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "editor-time";
+  input.value = millisToTimeSrt(editorCues[position][field]);
+  input.addEventListener("change", () => {
+    if (!editCueTime(position, field, input.value)) {
+      input.classList.add("invalid");
+      input.title = "Use hh:mm:ss,mmm and keep the start before the end.";
+    }
+  });
+  return input;
+}
+
+/**
+ * Rebuild the editor table from the current cues.
+ */
+function renderCueEditor() {
+  cueEditorBody.replaceChildren();
+  undoButton.disabled = undoStack.length === 0;
+  redoButton.disabled = redoStack.length === 0;
+
+  editorCues.forEach((cue, position) => {
+    const row = document.createElement("tr");
+    row.id = `editor-row-${position}`;
+    row.dataset.sourceIndex = cue.sourceIndex;
+
+    const indexCell = document.createElement("td");
+    indexCell.textContent = cue.index;
+
+    const timeCell = document.createElement("td");
+    timeCell.className = "editor-times";
+    timeCell.append(
+      createTimeInput(position, "startMillis"),
+      createTimeInput(position, "endMillis")
+    );
+
+    // Show the original text once per original cue
+    const originalCell = document.createElement("td");
+    originalCell.className = "editor-original";
+    const previous = editorCues[position - 1];
+    if (!previous || previous.sourceIndex !== cue.sourceIndex) {
+      const original = editorOriginalSubtitles[cue.sourceIndex];
+      originalCell.textContent = original ? original.text : "";
+    }
+
+    const textCell = document.createElement("td");
+    const textArea = document.createElement("textarea");
+    textArea.className = "editor-text";
+    textArea.rows = 2;
+    textArea.value = getCueLines(cue).join("\n");
+    textArea.addEventListener("change", () =>
+      editCueText(position, textArea.value)
+    );
+    textCell.appendChild(textArea);
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "editor-actions";
+    actionsCell.append(
+      createEditorButton(
+        "« word",
+        "Move the first word to the previous cue",
+        () => moveFirstWordToPrevious(position)
+      ),
+      createEditorButton("word »", "Move the last word to the next cue", () =>
+        moveLastWordToNext(position)
+      ),
+      createEditorButton(
+        "Split",
+        "Split this cue at the cursor (or in the middle)",
+        () => splitCue(position, textArea.selectionStart)
+      ),
+      createEditorButton("Merge ↓", "Merge this cue with the next one", () =>
+        mergeCueWithNext(position)
+      )
+    );
+
+    row.append(indexCell, timeCell, originalCell, textCell, actionsCell);
+    cueEditorBody.appendChild(row);
+  });
+}
+
+/**
+ * Scroll to an editor row and put the cursor in its text.
+ * @param {number} position - Cue position in the editor
+ */
+function focusEditorRow(position) {
+  const row = document.getElementById(`editor-row-${position}`);
+  if (!row) return;
+
+  row.scrollIntoView({ behavior: "smooth", block: "center" });
+  row.querySelector(".editor-text").focus();
+}
+
+/**
+ * Scroll to the first editor row coming from an original cue.
+ * @param {number} sourceIndex - Position of the cue in the original subtitles
+ */
+function focusEditorCue(sourceIndex) {
+  const row = cueEditorBody.querySelector(
+    `tr[data-source-index="${sourceIndex}"]`
+  );
+  if (row) focusEditorRow(Number(row.id.replace("editor-row-", "")));
+}
+
+// --- Editor Event Bindings ---
+undoButton.addEventListener("click", undoCueEdit);
+redoButton.addEventListener("click", redoCueEdit);
+
+// Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside text fields, which keep their
+// own native undo while being typed in
+document.addEventListener("keydown", (event) => {
+  if (!(event.ctrlKey || event.metaKey)) return;
+  if (event.target.matches("input, textarea")) return;
+
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    undoCueEdit();
+  } else if (key === "y" || (key === "z" && event.shiftKey)) {
+    event.preventDefault();
+    redoCueEdit();
+  }
+});
@@ -0,0 +1,416 @@
+// --- Reading-Speed Retiming ---
+
+// Default limits for retimeCues(), in line with common subtitling guidelines
+const DEFAULT_RETIMING_OPTIONS = {
+  maxCharsPerSecond: 17,
+  minDurationMillis: 1000,
+  maxDurationMillis: 7000,
+  minGapMillis: 80,
+};
+
+/**
+ * Characters per second needed to read a cue in the given time.
+ * @param {string} text - Cue text
+ * @param {number} durationMillis - Time on screen
+ * @returns {number} Reading speed (Infinity for zero durations)
+ */
+function charactersPerSecond(text, durationMillis) {
+  if (durationMillis <= 0) return Infinity;
+  return text.length / (durationMillis / 1000);
+}
+
+/**
+ * Adjust cue boundaries so each cue stays on screen long enough to be read.
+ * A cue that is too short is first extended into the gap after it, then
+ * started earlier into the gap before it; cues that are too long are
+ * shortened. Cues never overlap and keep at least minGapMillis between them.
+ * Cues that still break a limit afterwards are reported, not forced.
+ * @param {object[]} cues - Revised cues (startMillis, endMillis, text)
+ * @param {object} options - { maxCharsPerSecond, minDurationMillis,
+ *   maxDurationMillis, minGapMillis }
+ * @returns {object} { cues, issues } where issues lists { position, message }
+ */
+function retimeCues(cues, options) {
+  const {
+    maxCharsPerSecond,
+    minDurationMillis,
+    maxDurationMillis,
+    minGapMillis,
+  } = { ...DEFAULT_RETIMING_OPTIONS, ...options };
+
+  const retimed = cues.map((cue) => ({ ...cue }));
+  const issues = [];
+
+  retimed.forEach((cue, position) => {
+    const previous = retimed[position - 1];
+    const next = retimed[position + 1];
+
+    // Room the cue may grow into without touching its neighbours
+    const earliestStart = previous
+      ? Math.min(previous.endMillis + minGapMillis, cue.startMillis)
+      : 0;
+    const latestEnd = next ? next.startMillis - minGapMillis : Infinity;
+
+    // Time needed at the maximum reading speed, within the duration limits
+    const neededMillis = Math.ceil(
+      (cue.text.length / maxCharsPerSecond) * 1000
+    );
+    const targetMillis = Math.min(
+      Math.max(neededMillis, minDurationMillis),
+      maxDurationMillis
+    );
+
+    // Never overlap the next cue, and keep the gap to it unless that would
+    // cut the cue below the minimum duration
+    if (next) {
+      cue.endMillis = Math.min(
+        cue.endMillis,
+        next.startMillis,
+        Math.max(latestEnd, cue.startMillis + minDurationMillis)
+      );
+    }
+
+    if (cue.endMillis - cue.startMillis < targetMillis) {
+      cue.endMillis = Math.max(
+        cue.endMillis,
+        Math.min(cue.startMillis + targetMillis, latestEnd)
+      );
+    }
+    if (cue.endMillis - cue.startMillis < targetMillis) {
+      cue.startMillis = Math.max(
+        Math.min(cue.endMillis - targetMillis, cue.startMillis),
+        earliestStart
+      );
+    }
+    if (cue.endMillis - cue.startMillis > maxDurationMillis) {
+      cue.endMillis = cue.startMillis + maxDurationMillis;
+    }
+
+    const duration = cue.endMillis - cue.startMillis;
+    const speed = charactersPerSecond(cue.text, duration);
+
+    if (cue.text && speed > maxCharsPerSecond) {
+      issues.push({
+        position,
+        message: `${speed.toFixed(1)} characters per second (limit ${maxCharsPerSecond}): not enough room between the neighbouring cues.`,
+      });
+    } else if (duration < minDurationMillis) {
+      issues.push({
+        position,
+        message: `Only ${duration} ms on screen (minimum ${minDurationMillis} ms): not enough room between the neighbouring cues.`,
+      });
+    } else if (next && next.startMillis - cue.endMillis < minGapMillis) {
+      issues.push({
+        position,
+        message: `Only ${
+          next.startMillis - cue.endMillis
+        } ms before the next cue (minimum ${minGapMillis} ms).`,
+      });
+    }
+  });
+
+  return { cues: retimed, issues };
+}
+
+// --- Cue Re-segmentation ---
+
+// Default limits for resegmentCues(): two lines of 42 characters per cue
+const DEFAULT_SEGMENTATION_OPTIONS = {
+  maxCharsPerCue: 84,
+  minCueDurationMillis: 700,
+  maxMergeGapMillis: 500,
+};
+
+/**
+ * Split a cue in two after the given number of words. The time is shared in
+ * proportion to the number of characters in each half.
+ * @param {object} cue - Cue to split
+ * @param {number} wordCount - Words that go into the first half
+ * @returns {object[]} The two new cues
+ */
+function splitCueAt(cue, wordCount) {
+  const words = cue.text.split(" ").filter(Boolean);
+  const firstText = words.slice(0, wordCount).join(" ");
+  const secondText = words.slice(wordCount).join(" ");
+
+  const duration = cue.endMillis - cue.startMillis;
+  const splitMillis =
+    cue.startMillis +
+    Math.round(
+      (duration * firstText.length) / (firstText.length + secondText.length)
+    );
+
+  const first = { ...cue, text: firstText, endMillis: splitMillis };
+  const second = { ...cue, text: secondText, startMillis: splitMillis };
+  delete first.lines;
+  delete second.lines;
+
+  if (cue.tags) [first.tags, second.tags] = splitCueTags(cue.tags, wordCount);
+  return [first, second];
+}
+
+/**
+ * Share a cue's inline tags between the two halves of a split. Each half
+ * keeps the tags attached to its own words. Markup still open at the split
+ * (an italic span, a voice) is closed at the end of the first half and opened
+ * again at the start of the second, and override blocks ({\an8}, {\i1}) are
+ * repeated at the start of the second half, so both halves keep the styling
+ * and position they had.
+ * @param {object[]} tags - Inline tags of the cue
+ * @param {number} wordCount - Words that go into the first half
+ * @returns {object[][]} Tags of the first and of the second half
+ */
+function splitCueTags(tags, wordCount) {
+  const inFirstHalf = (tag) =>
+    tag.position < wordCount ||
+    (tag.position === wordCount && tag.glue === "previous");
+  const first = tags.filter(inFirstHalf);
+  const second = tags
+    .filter((tag) => !inFirstHalf(tag))
+    .map((tag) => ({ ...tag, position: tag.position - wordCount }));
+
+  const overrides = [];
+  const openElements = [];
+  for (const { tag } of first) {
+    const element = /^<(\/?)([^\s>/]+)/.exec(tag);
+    if (tag.startsWith("{")) {
+      overrides.push(tag);
+    } else if (!element || tag.endsWith("/>") || /^\d/.test(element[2])) {
+      continue; // Not an element, self-closing or a VTT timestamp
+    } else if (element[1]) {
+      const opened = openElements
+        .map((open) => open.name)
+        .lastIndexOf(element[2]);
+      if (opened !== -1) openElements.splice(opened, 1);
+    } else {
+      openElements.push({ name: element[2], tag });
+    }
+  }
+
+  for (const { name } of [...openElements].reverse()) {
+    first.push({ position: wordCount, tag: `</${name}>`, glue: "previous" });
+  }
+  const reopened = [...overrides, ...openElements.map((open) => open.tag)];
+  second.unshift(
+    ...reopened.map((tag) => ({ position: 0, tag, glue: "next" }))
+  );
+
+  return [first, second];
+}
+
+/**
+ * Inline tags of two cues merged into one, the second cue's tags shifted
+ * past the first cue's words.
+ * @param {object} first - Cue that comes first
+ * @param {object} second - Cue appended to it
+ * @returns {object[]|undefined} Tags of the merged cue
+ */
+function joinCueTags(first, second) {
+  if (!first.tags && !second.tags) return undefined;
+  const offset = first.text.split(" ").filter(Boolean).length;
+  return [
+    ...(first.tags || []),
+    ...(second.tags || []).map((tag) => ({
+      ...tag,
+      position: tag.position + offset,
+    })),
+  ];
+}
+
+/**
+ * Choose where to split an overlong text: after a sentence end if there is
+ * one in the middle half of the text, else after a clause break, else at the
+ * word boundary nearest the middle.
+ * @param {string[]} words - Words of the cue
+ * @returns {number} Number of words before the split
+ */
+function findSplitPoint(words) {
+  const totalLength = words.join(" ").length;
+  const middle = totalLength / 2;
+
+  let best = null;
+  let length = 0;
+
+  for (let count = 1; count < words.length; count++) {
+    length += words[count - 1].length + (count > 1 ? 1 : 0);
+
+    // Lower rank wins: sentence end, then clause break, then any space
+    const distance = Math.abs(length - middle);
+    let rank = 2;
+    if (distance <= totalLength / 4) {
+      if (SENTENCE_END_PATTERN.test(words[count - 1])) {
+        rank = 0;
+      } else if (CLAUSE_END_PATTERN.test(words[count - 1])) {
+        rank = 1;
+      }
+    }
+
+    if (
+      !best ||
+      rank < best.rank ||
+      (rank === best.rank && distance < best.distance)
+    ) {
+      best = { count, rank, distance };
+    }
+  }
+
+  return best.count;
+}
+
+/**
+ * Split a cue until no part is longer than maxCharsPerCue.
+ * @param {object} cue - Cue to split
+ * @param {number} maxCharsPerCue - Longest text allowed in one cue
+ * @returns {object[]} One or more cues
+ */
+function splitOverlongCue(cue, maxCharsPerCue) {
+  const words = cue.text.split(" ").filter(Boolean);
+  if (cue.text.length <= maxCharsPerCue || words.length < 2) return [cue];
+
+  return splitCueAt(cue, findSplitPoint(words)).flatMap((part) =>
+    splitOverlongCue(part, maxCharsPerCue)
+  );
+}
+
+/**
+ * Post-process the revised cues so they no longer mirror the original cue
+ * count one to one: empty cues are dropped, cues that are too long are split
+ * (preferably at sentence or clause punctuation) and cues on screen for too
+ * short a time are merged into a close neighbour when the result still fits.
+ * Cues are renumbered afterwards.
+ * @param {object[]} cues - Revised cues (startMillis, endMillis, text)
+ * @param {object} options - { maxCharsPerCue, minCueDurationMillis,
+ *   maxMergeGapMillis }
+ * @returns {object[]} New list of cues
+ */
+function resegmentCues(cues, options) {
+  const { maxCharsPerCue, minCueDurationMillis, maxMergeGapMillis } = {
+    ...DEFAULT_SEGMENTATION_OPTIONS,
+    ...options,
+  };
+
+  // Step 1: Drop empty cues and split overlong ones
+  const result = cues
+    .filter((cue) => cue.text.trim() !== "")
+    .flatMap((cue) => splitOverlongCue({ ...cue }, maxCharsPerCue));
+
+  // Step 2: Merge cues that are too short into the closest neighbour
+  const canMerge = (first, second) =>
+    second.startMillis - first.endMillis <= maxMergeGapMillis &&
+    first.text.length + 1 + second.text.length <= maxCharsPerCue;
+
+  for (let position = 0; position < result.length; position++) {
+    const cue = result[position];
+    if (cue.endMillis - cue.startMillis >= minCueDurationMillis) continue;
+
+    const previous = result[position - 1];
+    const next = result[position + 1];
+    const previousGap = previous
+      ? cue.startMillis - previous.endMillis
+      : Infinity;
+    const nextGap = next ? next.startMillis - cue.endMillis : Infinity;
+
+    let mergeInto = null;
+    if (previous && canMerge(previous, cue) && previousGap <= nextGap) {
+      mergeInto = position - 1;
+    } else if (next && canMerge(cue, next)) {
+      mergeInto = position;
+    } else if (previous && canMerge(previous, cue)) {
+      mergeInto = position - 1;
+    }
+    if (mergeInto === null) continue;
+
+    const first = result[mergeInto];
+    const second = result[mergeInto + 1];
+    first.tags = joinCueTags(first, second);
+    first.text = `${first.text} ${second.text}`;
+    first.endMillis = Math.max(first.endMillis, second.endMillis);
+    delete first.lines;
+    result.splice(mergeInto + 1, 1);
+
+    // Look at the merged cue again: it may still be too short
+    position = mergeInto - 1;
+  }
+
+  // Step 3: Renumber
+  result.forEach((cue, position) => {
+    cue.index = position + 1;
+  });
+
+  return result;
+}
+
+// --- Line Layout ---
+
+/**
+ * Carry the original cue's line structure over to the revised words: each
+ * revised word goes on the line of the original word it was aligned with.
+ * @param {object} original - Original cue (with originalTextLines)
+ * @param {object[]} steps - Alignment steps of that cue
+ * @param {number} firstWordIndex - Index of the cue's first original word
+ * @returns {string[]|null} Lines, or null when the words no longer line up
+ *   (a line would be empty)
+ */
+function mirrorOriginalLines(original, steps, firstWordIndex) {
+  // Original line of every word in the cue
+  const lineOfWord = [];
+  original.originalTextLines.forEach((line, lineNumber) => {
+    const wordCount = tokenizeWords(line).length;
+    for (let word = 0; word < wordCount; word++) lineOfWord.push(lineNumber);
+  });
+  if (lineOfWord.length === 0) return null;
+
+  const lines = original.originalTextLines.map(() => []);
+  for (const step of steps) {
+    if (step.word2 === null) continue;
+    const wordInCue = Math.max(step.index1 - firstWordIndex, 0);
+    const lineNumber = lineOfWord[Math.min(wordInCue, lineOfWord.length - 1)];
+    lines[lineNumber].push(step.word2);
+  }
+
+  if (lines.some((words) => words.length === 0)) return null;
+  return lines.map((words) => joinWords(words));
+}
+
+/**
+ * Decide the line layout of every revised cue. A cue holding the turns of
+ * several speakers is left to breakLines(), which gives each turn its own
+ * line(s). In "mirror" mode, other cues that still hold exactly the words
+ * mapped to their original cue copy its line structure when every line fits;
+ * all other cues use breakLines().
+ * @param {object[]} cues - Revised cues
+ * @param {object} context - { subtitles, revisedSegments, segmentSteps,
+ *   segmentBoundaries } from the sync
+ * @param {object} options - breakLines() options plus mode ("rules" or "mirror")
+ * @returns {object[]} Cues with their lines set
+ */
+function layoutCueLines(cues, context, options = {}) {
+  const { subtitles, revisedSegments, segmentSteps, segmentBoundaries } =
+    context;
+
+  return cues.map((cue) => {
+    if (splitDialogueTurns(cue.text).length > 1) {
+      return { ...cue, lines: breakLines(cue.text, options) };
+    }
+
+    let lines = null;
+    if (
+      options.mode === "mirror" &&
+      cue.text === revisedSegments[cue.sourceIndex]
+    ) {
+      lines = mirrorOriginalLines(
+        subtitles[cue.sourceIndex],
+        segmentSteps[cue.sourceIndex],
+        segmentBoundaries[cue.sourceIndex].start
+      );
+      if (
+        lines &&
+        lines.some((line) => line.length > options.maxCharsPerLine)
+      ) {
+        lines = null;
+      }
+    }
+
+    return { ...cue, lines: lines || breakLines(cue.text, options) };
+  });
+}
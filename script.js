@@ -1,622 +1,497 @@
 // --- UI Elements ---
 const subtitleFileInput = document.getElementById("subtitleFile");
+const inputEncodingSelect = document.getElementById("inputEncoding");
+const detectedEncodingLabel = document.getElementById("detectedEncoding");
+const lenientParsingInput = document.getElementById("lenientParsing");
+const fileCheck = document.getElementById("fileCheck");
+const fileCheckSummary = document.getElementById("fileCheckSummary");
+const fileIssueList = document.getElementById("fileIssueList");
 const revisedTextInput = document.getElementById("revisedText");
+const pinButton = document.getElementById("pinButton");
+const pinCueNumberInput = document.getElementById("pinCueNumber");
+const pinList = document.getElementById("pinList");
+const alignmentModeSelect = document.getElementById("alignmentMode");
+const translationOptions = document.getElementById("translationOptions");
+const glossaryInput = document.getElementById("glossary");
+const typographyLocaleSelect = document.getElementById("typographyLocale");
+const typographyRuleInputs = document.querySelectorAll(".typography-rule");
+const dialogueDashSelect = document.getElementById("dialogueDash");
+const dialogueDashSpaceInput = document.getElementById("dialogueDashSpace");
+const foldDiacriticsInput = document.getElementById("foldDiacritics");
+const preserveAnnotationsInput = document.getElementById("preserveAnnotations");
+const nearMatchEnabledInput = document.getElementById("nearMatchEnabled");
+const nearMatchThresholdInput = document.getElementById("nearMatchThreshold");
+const nearMatchWeightInput = document.getElementById("nearMatchWeight");
 const syncButton = document.getElementById("syncButton");
+const cancelButton = document.getElementById("cancelButton");
 const statusMessage = document.getElementById("statusMessage");
 const progressBarContainer = document.getElementById("progressBarContainer");
 const progressBar = document.getElementById("progressBar");
+const matchingScoreDisplay = document.getElementById("matchingScoreDisplay");
 
 const outputSection = document.querySelector(".output-section");
-const originalSrtDisplay = document.getElementById("originalSrtDisplay");
-const revisedSrtDisplay = document.getElementById("revisedSrtDisplay");
 const downloadButton = document.getElementById("downloadButton");
+const outputFormatInputs = document.querySelectorAll(
+  'input[name="outputFormat"]'
+);
+const outputEncodingSelect = document.getElementById("outputEncoding");
+const outputBomInput = document.getElementById("outputBom");
+const lineEndingSelect = document.getElementById("lineEnding");
+const confidenceThresholdInput = document.getElementById("confidenceThreshold");
+const reviewSummary = document.getElementById("reviewSummary");
+const reviewList = document.getElementById("reviewList");
+const timingIssues = document.getElementById("timingIssues");
+const timingIssueList = document.getElementById("timingIssueList");
+const lineBreakModeSelect = document.getElementById("lineBreakMode");
+const maxCharsPerLineInput = document.getElementById("maxCharsPerLine");
+const maxLinesInput = document.getElementById("maxLines");
+const preferPunctuationInput = document.getElementById("preferPunctuation");
+const keepFunctionWordsInput = document.getElementById("keepFunctionWords");
+const bottomHeavyInput = document.getElementById("bottomHeavy");
+const refineBoundariesEnabledInput = document.getElementById(
+  "refineBoundariesEnabled"
+);
+const boundaryToleranceMillisInput = document.getElementById(
+  "boundaryToleranceMillis"
+);
+const resegmentEnabledInput = document.getElementById("resegmentEnabled");
+const maxCharsPerCueInput = document.getElementById("maxCharsPerCue");
+const minCueDurationMillisInput = document.getElementById(
+  "minCueDurationMillis"
+);
+const retimeEnabledInput = document.getElementById("retimeEnabled");
+const maxCharsPerSecondInput = document.getElementById("maxCharsPerSecond");
+const minDurationMillisInput = document.getElementById("minDurationMillis");
+const maxDurationMillisInput = document.getElementById("maxDurationMillis");
+const minGapMillisInput = document.getElementById("minGapMillis");
+const viewTabs = document.querySelectorAll(".view-tab");
+const diffView = document.getElementById("diffView");
+const diffTableBody = document.querySelector("#diffTable tbody");
+const editorView = document.getElementById("editorView");
 
 // --- State Variables ----
+let originalSubtitleBytes = null; // File as uploaded, before decoding
+let originalSubtitleEncoding = "utf-8"; // Encoding it was decoded with
 let originalSubtitleContent = "";
 let originalSubtitleFileName = "original.srt";
 let originalSubtitleFormat = "srt";
-let revisedSubtitleResult = "";
 let originalSubtitleHeader = "";
+let originalSubtitleFooter = "";
+let originalSubtitleBlocks = []; // Blocks between cues (VTT NOTE, STYLE, REGION)
+let syncWorker = null; // Worker running the current sync, if any
+let lastSyncResult = null; // Result of the last finished sync
+let runningSyncJob = null; // Job of the sync in progress
+let lastSyncJob = null; // Job that produced lastSyncResult
+let revisedTextPins = []; // Revised text pinned to a cue ({ start, end, text, cue })
 
-// --- Scoring Constants for Smith-Waterman Algorithm ---
-const MATCH_SCORE = 2;
-const MISMATCH_PENALTY = -1;
-const GAP_PENALTY = -1;
-
-// --- Text Processing Functions ---
+// --- UI Functions and Event Handlers ---
 
 /**
- * Normalize a word for alignment comparison.
- * Removes punctuation and special characters, lowercases the word.
+ * Loads the revised cues into the cue editor and shows the diff and review
+ * views. After a re-sync of the same subtitles, only the cues whose result
+ * changed replace the edited ones.
+ * @param {object} result - Result from runSyncJob()
+ * @param {object} [previousResult] - Result of the sync it follows up on
+ * @returns {number} Number of original cues whose result changed
  */
-function cleanForComparison(word) {
-  if (!word) return "";
+function displayResult(result, previousResult) {
+  let changedCount = result.subtitles.length;
+
+  if (previousResult) {
+    const changedSources = findChangedSources(previousResult, result);
+    changedCount = changedSources.size;
+    mergeEditorCues(
+      result.revisedCues,
+      changedSources,
+      result.subtitles,
+      result.lineBreaking
+    );
+  } else {
+    loadEditorCues(result.revisedCues, result.subtitles, result.lineBreaking);
+  }
 
-  return word
-    .normalize("NFC") // Normalize to composed form: combines characters and accents (e.g., "e + ́" → "é")
-    .replace(/[^a-zA-ZÀ-ÿĀ-žçÇœŒßñÑ]+/g, "") // Remove everything that is not a letter, including accented letters from Latin-based scripts
-    .toLowerCase(); // Convert to lowercase for case-insensitive comparison
+  renderDiffView();
+  renderReviewList();
+  renderTimingIssues();
+  outputSection.style.display = "block";
+  return changedCount;
 }
 
 /**
- * Replaces all straight quotes (") with alternating curly quotes (“ and ”).
- * Also normalizes any pre-existing curly quotes first.
+ * Find the original cues whose synced result differs between two syncs of
+ * the same subtitles: different revised cues, or cues split or timed
+ * differently.
+ * @param {object} previousResult - Earlier result from runSyncJob()
+ * @param {object} result - New result from runSyncJob()
+ * @returns {Set<number>} Positions of the changed original cues
  */
-function replaceStraightQuotes(text) {
-  text = text.replace(/[“”]/g, '"'); // Normalize existing curly quotes
-  let open = true;
-  return text.replace(/"/g, () => {
-    const quote = open ? "“" : "”";
-    open = !open;
-    return quote;
+function findChangedSources(previousResult, result) {
+  // Everything about the cues of each original cue except their numbering
+  const describe = (cues) => {
+    const bySource = new Map();
+    for (const { index, ...cue } of cues) {
+      const key = bySource.get(cue.sourceIndex) || "";
+      bySource.set(cue.sourceIndex, key + JSON.stringify(cue));
+    }
+    return bySource;
+  };
+  const before = describe(previousResult.revisedCues);
+  const after = describe(result.revisedCues);
+
+  const changed = new Set();
+  result.subtitles.forEach((sub, sourceIndex) => {
+    if (before.get(sourceIndex) !== after.get(sourceIndex)) {
+      changed.add(sourceIndex);
+    }
   });
+  return changed;
 }
 
-/**
- * Replace isolated hyphens surrounded by spaces with em dashes (—).
- */
-function replaceHyphensWithDashes(text) {
-  return text.replace(/(^|\s)-(\s)/g, "$1—$2");
-}
+// How the review list describes each alignment step type, in order
+const REVIEW_COUNT_LABELS = {
+  near: "near",
+  mismatch: "changed",
+  gap1: "inserted",
+  gap2: "deleted",
+  translated: "translated",
+};
+
+// CSS class for each alignment step type in the word diff view
+const DIFF_CLASSES = {
+  match: "diff-match",
+  near: "diff-near",
+  translated: "diff-translated",
+  mismatch: "diff-substituted",
+  gap1: "diff-inserted",
+  gap2: "diff-deleted",
+  annotation: "diff-annotation",
+};
 
 /**
- * Normalize whitespace: collapse multiple spaces into one and trim.
+ * Build the cue-by-cue word diff: one row per original cue with its timing,
+ * the original words and the revised words, each highlighted by how it was
+ * aligned (matched, nearly matched, substituted, inserted, deleted or kept as
+ * an annotation).
  */
-function normalizeSpaces(text) {
-  return text.replace(/\s+/g, " ").trim();
+function renderDiffView() {
+  diffTableBody.replaceChildren();
+  if (!lastSyncResult) return;
+
+  const { subtitles, segmentSteps } = lastSyncResult;
+
+  // Wrap each word of one side of the alignment in a highlighted span
+  const renderWords = (cell, steps, side) => {
+    for (const step of steps) {
+      const word = side === "original" ? step.word1 : step.word2;
+      if (word === null) continue;
+
+      const span = document.createElement("span");
+      span.className = `diff-word ${DIFF_CLASSES[step.type]}`;
+      span.textContent = word.replace(WORD_JOINER, "");
+      cell.append(span, " ");
+    }
+  };
+
+  subtitles.forEach((sub, index) => {
+    const row = document.createElement("tr");
+    row.id = `diff-row-${index}`;
+
+    const indexCell = document.createElement("td");
+    indexCell.textContent = sub.index;
+
+    const timeCell = document.createElement("td");
+    timeCell.textContent = `${millisToTimeSrt(
+      sub.startMillis
+    )} → ${millisToTimeSrt(sub.endMillis)}`;
+
+    const originalCell = document.createElement("td");
+    renderWords(originalCell, segmentSteps[index], "original");
+
+    const revisedCell = document.createElement("td");
+    renderWords(revisedCell, segmentSteps[index], "revised");
+
+    row.append(indexCell, timeCell, originalCell, revisedCell);
+    diffTableBody.appendChild(row);
+  });
 }
 
 /**
- * Remove all line breaks from the input text.
+ * Switch the output between the cue editor and the word diff view.
+ * @param {string} view - "editor" or "diff"
  */
-function removeLineBreaks(text) {
-  return text.replace(/\r?\n/g, " ");
+function showResultView(view) {
+  for (const tab of viewTabs) {
+    tab.classList.toggle("active", tab.dataset.view === view);
+  }
+  editorView.style.display = view === "diff" ? "none" : "block";
+  diffView.style.display = view === "diff" ? "block" : "none";
 }
 
-// --- Time Conversion Functions ---
-
 /**
- * Convert timestamp string (hh:mm:ss,ms) into milliseconds.
- * Used for SRT format.
+ * Lists the cues whose alignment confidence is below the chosen threshold,
+ * worst first, so reviewers can jump straight to them.
  */
-function timeToMillis(time) {
-  const parts = time.split(/[:.,]/);
-  if (parts.length !== 4) return 0;
-  try {
-    return (
-      parseInt(parts[0], 10) * 3600000 +
-      parseInt(parts[1], 10) * 60000 +
-      parseInt(parts[2], 10) * 1000 +
-      parseInt(parts[3], 10)
-    );
-  } catch (e) {
-    return 0;
+function renderReviewList() {
+  reviewList.replaceChildren();
+  if (!lastSyncResult) return;
+
+  const threshold = Number(confidenceThresholdInput.value) / 100;
+  const { subtitles, revisedSegments, cueStats } = lastSyncResult;
+
+  const flagged = cueStats
+    .map((stats, index) => ({ ...stats, index }))
+    .filter((stats) => stats.confidence < threshold)
+    .sort((a, b) => a.confidence - b.confidence || a.index - b.index);
+
+  reviewSummary.textContent =
+    flagged.length === 0
+      ? "All cues are above the threshold."
+      : `${flagged.length} of ${cueStats.length} cues need review.`;
+
+  for (const { index, confidence, counts } of flagged) {
+    const sub = subtitles[index];
+    const item = document.createElement("li");
+
+    const jumpButton = document.createElement("button");
+    jumpButton.className = "review-jump";
+    jumpButton.textContent = `Cue ${sub.index} · ${millisToTimeSrt(
+      sub.startMillis
+    )} · ${Math.round(confidence * 100)}%`;
+    jumpButton.addEventListener("click", () => jumpToCue(index));
+
+    const details = document.createElement("span");
+    details.className = "review-details";
+    const countText = Object.entries(REVIEW_COUNT_LABELS)
+      .filter(([type]) => counts[type] > 0)
+      .map(([type, label]) => `${counts[type]} ${label}`)
+      .join(", ");
+    details.textContent = ` ${countText || "no changes"} — “${revisedSegments[index]}”`;
+
+    item.append(jumpButton, details);
+    reviewList.appendChild(item);
   }
 }
 
 /**
- * Convert milliseconds to SRT timestamp format (hh:mm:ss,ms).
+ * Lists the cues the retiming pass could not bring within the limits.
  */
-function millisToTimeSrt(millis) {
-  const totalSeconds = Math.floor(millis / 1000);
-  const ms = String(millis % 1000).padStart(3, "0");
-  const seconds = String(totalSeconds % 60).padStart(2, "0");
-  const totalMinutes = Math.floor(totalSeconds / 60);
-  const minutes = String(totalMinutes % 60).padStart(2, "0");
-  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, "0");
-  return `${hours}:${minutes}:${seconds},${ms}`;
+function renderTimingIssues() {
+  timingIssueList.replaceChildren();
+  const issues = lastSyncResult ? lastSyncResult.timingIssues : [];
+  timingIssues.style.display = issues.length > 0 ? "block" : "none";
+
+  for (const { position, message } of issues) {
+    const item = document.createElement("li");
+
+    const jumpButton = document.createElement("button");
+    jumpButton.className = "review-jump";
+    jumpButton.textContent = `Cue ${position + 1}`;
+    jumpButton.addEventListener("click", () => {
+      showResultView("editor");
+      focusEditorRow(position);
+    });
+
+    const details = document.createElement("span");
+    details.className = "review-details";
+    details.textContent = ` ${message}`;
+
+    item.append(jumpButton, details);
+    timingIssueList.appendChild(item);
+  }
 }
 
 /**
- * Convert milliseconds to VTT timestamp format (hh:mm:ss.ms).
+ * Bring a cue into view in the cue editor, or highlight its row in the word
+ * diff view when that view is open.
+ * @param {number} index - Position of the cue in the original subtitles
  */
-function millisToTimeVtt(millis) {
-  const totalSeconds = Math.floor(millis / 1000);
-  const ms = String(millis % 1000).padStart(3, "0");
-  const seconds = String(totalSeconds % 60).padStart(2, "0");
-  const totalMinutes = Math.floor(totalSeconds / 60);
-  const minutes = String(totalMinutes % 60).padStart(2, "0");
-  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, "0");
-  return `${hours}:${minutes}:${seconds}.${ms}`;
+function jumpToCue(index) {
+  if (diffView.style.display === "none") {
+    focusEditorCue(index);
+    return;
+  }
+
+  const row = document.getElementById(`diff-row-${index}`);
+  if (!row) return;
+
+  for (const highlighted of diffTableBody.querySelectorAll(".highlighted")) {
+    highlighted.classList.remove("highlighted");
+  }
+  row.classList.add("highlighted");
+  row.scrollIntoView({ behavior: "smooth", block: "center" });
 }
 
-// --- Subtitle Parsing (SRT) ---
+// --- Pinned Text ---
 
 /**
- * Parse SRT file content into subtitle blocks with timestamps and text.
+ * Pin the text selected in the revised text box to the chosen cue.
  */
-function parseSrt(data) {
-  const pattern =
-    /(\d+)\r?\n(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})\r?\n([\s\S]*?)(?=\r?\n\r?\n|$)/g;
-  let match;
-  const subtitles = [];
-  let expectedIndex = 1;
-
-  while ((match = pattern.exec(data)) !== null) {
-    const indexFromFile = parseInt(match[1], 10);
-    const currentIndex = isNaN(indexFromFile) ? expectedIndex : indexFromFile;
-    const textBlock = match[4];
-    const flatText = textBlock.replace(/\r?\n/g, " ").trim();
-
-    subtitles.push({
-      index: currentIndex,
-      startTime: match[2],
-      endTime: match[3],
-      startMillis: timeToMillis(match[2]),
-      endMillis: timeToMillis(match[3]),
-      text: flatText,
-      originalTextLines: textBlock
-        .split(/\r?\n/)
-        .filter((line) => line.trim() !== ""),
-    });
+function handlePin() {
+  const { selectionStart: start, selectionEnd: end, value } = revisedTextInput;
+  const cueNumber = Number(pinCueNumberInput.value);
 
-    expectedIndex = currentIndex + 1;
+  if (start === end || !value.slice(start, end).trim()) {
+    statusMessage.textContent =
+      "Select the words to pin in the revised text first.";
+    return;
+  }
+  if (!Number.isInteger(cueNumber) || cueNumber < 1) {
+    statusMessage.textContent = "Enter the number of the cue to pin to.";
+    return;
   }
 
-  return { header: "", subtitles };
+  revisedTextPins.push({
+    start,
+    end,
+    text: value.slice(start, end),
+    cue: cueNumber - 1,
+  });
+  renderPinList();
+  statusMessage.textContent = `Pinned to cue ${cueNumber}. Click 'Sync' to re-align around it.`;
 }
 
 /**
- * Parse SBV subtitle data into an array of subtitle objects.
- * Converts SBV timestamps (with dot) into SRT format (with comma).
+ * List the pins, each with a button to remove it.
  */
-function parseSbv(data) {
-  const pattern =
-    /(\d{1,2}:\d{2}:\d{2}\.\d{3}),(\d{1,2}:\d{2}:\d{2}\.\d{3})\r?\n([\s\S]*?)(?=\r?\n\r?\n|$)/g;
-  let match;
-  const subtitles = [];
-  let indexCounter = 1;
-
-  while ((match = pattern.exec(data)) !== null) {
-    const startTimeSbv = match[1];
-    const endTimeSbv = match[2];
-
-    const startTimeSrt = startTimeSbv.replace(".", ",");
-    const endTimeSrt = endTimeSbv.replace(".", ",");
-
-    const textBlock = match[3];
-    const flatText = textBlock.replace(/\r?\n/g, " ").trim();
-
-    subtitles.push({
-      index: indexCounter++,
-      startTime: startTimeSrt,
-      endTime: endTimeSrt,
-      startMillis: timeToMillis(startTimeSrt),
-      endMillis: timeToMillis(endTimeSrt),
-      text: flatText,
-      originalTextLines: textBlock
-        .split(/\r?\n/)
-        .filter((line) => line.trim() !== ""),
+function renderPinList() {
+  pinList.replaceChildren();
+
+  revisedTextPins.forEach((pin, position) => {
+    const item = document.createElement("li");
+    const text =
+      pin.text.length > 60 ? `${pin.text.slice(0, 57)}...` : pin.text;
+    item.textContent = `Cue ${pin.cue + 1}: “${text}” `;
+
+    const removeButton = document.createElement("button");
+    removeButton.className = "pin-remove";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => {
+      revisedTextPins.splice(position, 1);
+      renderPinList();
     });
-  }
 
-  return { header: "", subtitles };
+    item.appendChild(removeButton);
+    pinList.appendChild(item);
+  });
 }
 
 /**
- * Parse VTT subtitle data into an array of subtitle objects.
- * Handles optional header and supports conversion to SRT-compatible format.
+ * Find the pinned text again after the revised text was edited: each pin
+ * moves to the nearest place where its text still occurs, or is dropped.
+ * @param {string} revisedText - Current revised text
+ * @returns {number} Number of pins dropped
  */
-function parseVtt(data) {
-  const lines = data.split(/\r?\n/);
-  const subtitles = [];
-  let indexCounter = 1;
-  let currentCue = null;
-  let headerLines = [];
-  let inHeader = true;
-
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-
-    if (inHeader) {
-      if (
-        trimmedLine === "" &&
-        headerLines.length > 0 &&
-        headerLines[0].trim() === "WEBVTT"
-      ) {
-        inHeader = false;
-        continue;
-      }
-      if (trimmedLine.includes("-->")) {
-        inHeader = false;
-      } else {
-        headerLines.push(line);
-        continue;
-      }
-    }
+function relocatePins(revisedText) {
+  const before = revisedTextPins.length;
 
-    if (!inHeader) {
-      if (trimmedLine.includes("-->")) {
-        // Save previous cue if exists
-        if (currentCue && currentCue.originalTextLines.length > 0) {
-          currentCue.text = currentCue.originalTextLines.join(" ").trim();
-          subtitles.push(currentCue);
-        }
+  revisedTextPins = revisedTextPins.flatMap((pin) => {
+    if (revisedText.slice(pin.start, pin.end) === pin.text) return [pin];
 
-        const [startRaw, endRaw] = trimmedLine
-          .split("-->")
-          .map((s) => s.trim());
-
-        let startTime = startRaw;
-        let endTime = endRaw.split(" ")[0].trim();
-
-        // Normalize short times (e.g. mm:ss.xxx → hh:mm:ss.xxx)
-        if (startTime.split(":").length === 2) startTime = "00:" + startTime;
-        if (endTime.split(":").length === 2) endTime = "00:" + endTime;
-
-        const startSrt = startTime.replace(".", ",");
-        const endSrt = endTime.replace(".", ",");
-
-        currentCue = {
-          index: indexCounter++,
-          startTime: startSrt,
-          endTime: endSrt,
-          startMillis: timeToMillis(startSrt),
-          endMillis: timeToMillis(endSrt),
-          text: "",
-          originalTextLines: [],
-        };
-      } else if (currentCue && trimmedLine !== "") {
-        currentCue.originalTextLines.push(trimmedLine);
-      } else if (trimmedLine === "" && currentCue) {
-        // End of current cue
-        if (currentCue.originalTextLines.length > 0) {
-          currentCue.text = currentCue.originalTextLines.join(" ").trim();
-          subtitles.push(currentCue);
-        }
-        currentCue = null;
-      } else if (trimmedLine !== "") {
-        // Ignore cue IDs or metadata
+    let nearest = -1;
+    for (
+      let found = revisedText.indexOf(pin.text);
+      found !== -1;
+      found = revisedText.indexOf(pin.text, found + 1)
+    ) {
+      if (
+        nearest === -1 ||
+        Math.abs(found - pin.start) < Math.abs(nearest - pin.start)
+      ) {
+        nearest = found;
       }
     }
-  }
-
-  // Add final cue if pending
-  if (currentCue && currentCue.originalTextLines.length > 0) {
-    currentCue.text = currentCue.originalTextLines.join(" ").trim();
-    subtitles.push(currentCue);
-  }
+    if (nearest === -1) return [];
+    return [{ ...pin, start: nearest, end: nearest + pin.text.length }];
+  });
 
-  return {
-    header: headerLines.join("\n"),
-    subtitles,
-  };
+  renderPinList();
+  return before - revisedTextPins.length;
 }
-// --- Subtitle Formatting Functions (SRT, SBV, VTT) ---
 
 /**
- * Break a long line into two lines, attempting to split near the middle at a space.
- * Falls back to splitting at the middle if no spaces are found.
- * @param {string} text - The text to split
- * @param {number} maxChars - Not used in current logic, but retained for flexibility
- * @returns {string[]} An array of one or two lines
+ * Whether the last sync aligned the same subtitles with the same matching
+ * options as a new job, so its alignment can be reused (around any edits to
+ * the revised text) and the edits made since kept where nothing changed.
+ * @param {object} job - New sync job
+ * @returns {boolean} True when the last alignment still applies
  */
-function breakLines(text, maxChars = 50) {
-  if (!text || text.length <= maxChars) return [text];
-
-  const middle = Math.floor(text.length / 2);
-  const left = text.lastIndexOf(" ", middle);
-  const right = text.indexOf(" ", middle);
-
-  let splitIndex;
-  if (left === -1 && right === -1) {
-    // No spaces at all — split in the middle if necessary
-    splitIndex = text.length > maxChars ? middle : -1;
-    if (splitIndex === -1) return [text];
-  } else if (left === -1) {
-    splitIndex = right;
-  } else if (right === -1) {
-    splitIndex = left;
-  } else {
-    // Choose the nearest space to the center
-    splitIndex = middle - left <= right - middle ? left : right;
+function canReuseAlignment(job) {
+  if (!lastSyncJob || !lastSyncResult || job.alignmentMode === "translation") {
+    return false;
   }
 
-  return [text.slice(0, splitIndex).trim(), text.slice(splitIndex + 1).trim()];
-}
-
-/**
- * Format subtitle objects as an SRT file string.
- */
-function formatSrt({ subtitles }) {
-  return subtitles
-    .map((sub) => {
-      const lines = breakLines(sub.text);
-      return `${sub.index}\n${millisToTimeSrt(
-        sub.startMillis
-      )} --> ${millisToTimeSrt(sub.endMillis)}\n${lines.join("\n")}`;
-    })
-    .join("\n\n");
+  const matchingKeys = [
+    "subtitleContent",
+    "subtitleFormat",
+    "lenientParsing",
+    "alignmentMode",
+    "foldDiacritics",
+    "nearMatch",
+    "typography",
+    "dialogue",
+    "preserveAnnotations",
+  ];
+  return matchingKeys.every(
+    (key) => JSON.stringify(lastSyncJob[key]) === JSON.stringify(job[key])
+  );
 }
 
-/**
- * Format subtitle objects as an SBV file string.
- */
-function formatSbv({ subtitles }) {
-  return subtitles
-    .map((sub) => {
-      const startTime = millisToTimeSrt(sub.startMillis).replace(",", ".");
-      const endTime = millisToTimeSrt(sub.endMillis).replace(",", ".");
-      const lines = breakLines(sub.text);
-      return `${startTime},${endTime}\n${lines.join("\n")}`;
-    })
-    .join("\n\n");
-}
+// --- Typography ---
 
 /**
- * Format subtitle objects as a VTT file string.
- * Includes optional original header or defaults to "WEBVTT".
+ * Read the typography language and rules chosen for the revised text.
+ * @returns {object} applyTypography() options
  */
-function formatVtt({ header, subtitles }) {
-  const vttHeader =
-    (header && header.trim() !== "" ? header : "WEBVTT") + "\n\n";
-  const cues = subtitles
-    .map((sub) => {
-      const start = millisToTimeVtt(sub.startMillis);
-      const end = millisToTimeVtt(sub.endMillis);
-      const lines = breakLines(sub.text);
-      return `${start} --> ${end}\n${lines.join("\n")}`;
-    })
-    .join("\n\n");
-  return vttHeader + cues;
+function readTypographyOptions() {
+  const options = { locale: typographyLocaleSelect.value };
+  for (const input of typographyRuleInputs) {
+    options[input.dataset.rule] = input.checked;
+  }
+  return options;
 }
-// --- Smith-Waterman Local Alignment Algorithm ---
 
 /**
- * Build the score and traceback matrices using the Smith-Waterman algorithm.
- * @param {string[]} seq1 - First sequence (array of words)
- * @param {string[]} seq2 - Second sequence (array of words)
- * @param {number} matchScore - Score for matching words
- * @param {number} mismatchPenalty - Penalty for mismatched words
- * @param {number} gapPenalty - Penalty for insertions/deletions (gaps)
- * @returns {object} Matrices and best alignment position
+ * Tick the rules the chosen language uses by default.
  */
-function smithWaterman(seq1, seq2, matchScore, mismatchPenalty, gapPenalty) {
-  const n = seq1.length;
-  const m = seq2.length;
-
-  const scoreMatrix = Array(n + 1)
-    .fill(0)
-    .map(() => Array(m + 1).fill(0));
-  const tracebackMatrix = Array(n + 1)
-    .fill(0)
-    .map(() => Array(m + 1).fill(null));
-
-  let maxScore = 0;
-  let maxPos = { i: 0, j: 0 };
-
-  for (let i = 1; i <= n; i++) {
-    for (let j = 1; j <= m; j++) {
-      const word1 = cleanForComparison(seq1[i - 1]);
-      const word2 = cleanForComparison(seq2[j - 1]);
-
-      const match =
-        scoreMatrix[i - 1][j - 1] +
-        (word1 === word2 && word1 !== "" ? matchScore : mismatchPenalty);
-      const deleteGap = scoreMatrix[i - 1][j] + gapPenalty;
-      const insertGap = scoreMatrix[i][j - 1] + gapPenalty;
-
-      const currentScore = Math.max(0, match, deleteGap, insertGap);
-      scoreMatrix[i][j] = currentScore;
-
-      if (currentScore === 0) {
-        tracebackMatrix[i][j] = null;
-      } else if (currentScore === match) {
-        tracebackMatrix[i][j] = "diag";
-      } else if (currentScore === deleteGap) {
-        tracebackMatrix[i][j] = "up";
-      } else {
-        tracebackMatrix[i][j] = "left";
-      }
-
-      if (currentScore > maxScore) {
-        maxScore = currentScore;
-        maxPos = { i, j };
-      }
-    }
+function showTypographyDefaults() {
+  const { rules } = resolveTypography({ locale: typographyLocaleSelect.value });
+  for (const input of typographyRuleInputs) {
+    input.checked = rules[input.dataset.rule];
   }
-
-  return { scoreMatrix, tracebackMatrix, maxScore, maxPos };
 }
 
-/**
- * Reconstruct the best local alignment path from the traceback matrix.
- * @param {string[]} seq1 - First sequence (words)
- * @param {string[]} seq2 - Second sequence (words)
- * @param {number[][]} scoreMatrix - Matrix of alignment scores
- * @param {string[][]} tracebackMatrix - Matrix of traceback directions
- * @param {object} maxPos - Coordinates of the highest scoring cell
- * @returns {object[]} Array of alignment steps (match, mismatch, gap)
- */
-function traceback(seq1, seq2, scoreMatrix, tracebackMatrix, maxPos) {
-  const alignment = [];
-  let { i, j } = maxPos;
-
-  while (i > 0 && j > 0 && scoreMatrix[i][j] > 0) {
-    const direction = tracebackMatrix[i][j];
-
-    const step = {
-      index1: i - 1,
-      index2: j - 1,
-      word1: null,
-      word2: null,
-      type: null,
-    };
-
-    if (direction === "diag") {
-      step.word1 = seq1[i - 1];
-      step.word2 = seq2[j - 1];
-
-      const w1 = cleanForComparison(step.word1);
-      const w2 = cleanForComparison(step.word2);
-      step.type = w1 === w2 && w1 !== "" ? "match" : "mismatch";
-
-      i--;
-      j--;
-    } else if (direction === "up") {
-      step.word1 = seq1[i - 1];
-      step.word2 = "-";
-      step.type = "gap2"; // Gap in seq2
-      i--;
-    } else {
-      step.word1 = "-";
-      step.word2 = seq2[j - 1];
-      step.type = "gap1"; // Gap in seq1
-      j--;
-    }
-
-    alignment.push(step);
-  }
+// --- Sync ---
 
-  alignment.reverse();
-  return alignment;
-}
 /**
- * Maps aligned words from the revised text (word2) back into original subtitle segments.
- * Preserves the segment structure from the original parsed subtitles.
- * @param {object[]} alignment - Result from traceback() with alignment steps
- * @param {object[]} parsedSubsOriginal - Original subtitle segments
- * @param {string[]} seq1Global - Flattened original words (used for indexing)
- * @returns {string[]} Aligned revised text segments, matching the original segment structure
+ * Read a number input, kept within its min and max.
+ * @param {HTMLInputElement} input - Number input
+ * @param {number} fallback - Value used when the field is empty or invalid
+ * @returns {number} The value
  */
-function mapAlignmentToSegments(alignment, parsedSubsOriginal, seq1Global) {
-  const revisedSegments = Array(parsedSubsOriginal.length).fill("");
-  const segmentBoundaries = [];
-
-  // Step 1: Calculate start/end word indices for each original segment
-  let currentWordIndex = 0;
-  for (let i = 0; i < parsedSubsOriginal.length; i++) {
-    const segmentWords = parsedSubsOriginal[i].text.split(" ").filter(Boolean);
-    const startIndex = currentWordIndex;
-    const endIndex = startIndex + segmentWords.length;
-    segmentBoundaries.push({ start: startIndex, end: endIndex });
-    currentWordIndex = endIndex;
-  }
-
-  // Step 2: Walk through the alignment and group word2 values by segment
-  let currentSegmentIndex = 0;
-  let wordsForCurrentSegment = [];
-
-  for (const step of alignment) {
-    const originalWordIndex = step.index1;
-
-    // If current word exceeds segment end, store the current result and move on
-    while (
-      currentSegmentIndex < segmentBoundaries.length &&
-      originalWordIndex >= segmentBoundaries[currentSegmentIndex].end
-    ) {
-      revisedSegments[currentSegmentIndex] = wordsForCurrentSegment.join(" ");
-      currentSegmentIndex++;
-      wordsForCurrentSegment = [];
-      if (currentSegmentIndex >= segmentBoundaries.length) break;
-    }
-
-    if (currentSegmentIndex >= segmentBoundaries.length) break;
-
-    const boundary = segmentBoundaries[currentSegmentIndex];
-    if (
-      originalWordIndex >= boundary.start &&
-      originalWordIndex < boundary.end
-    ) {
-      if (step.word2 && step.word2 !== "-") {
-        wordsForCurrentSegment.push(step.word2);
-      }
-    }
-  }
-
-  // Step 3: Save the last collected segment
-  if (currentSegmentIndex < revisedSegments.length) {
-    revisedSegments[currentSegmentIndex] = wordsForCurrentSegment.join(" ");
-  }
-
-  // Step 4: Ensure all segments are at least initialized
-  for (let i = 0; i < revisedSegments.length; i++) {
-    if (revisedSegments[i] === undefined) {
-      revisedSegments[i] = "";
-    }
-  }
-
-  return revisedSegments;
+function readNumberInput(input, fallback) {
+  const value = input.value.trim() === "" ? NaN : Number(input.value);
+  if (!Number.isFinite(value)) return fallback;
+  return Math.min(Math.max(value, Number(input.min)), Number(input.max));
 }
-// --- UI Functions and Event Handlers ---
 
 /**
- * Displays both the original and revised subtitles in formatted form.
- * Also calculates and logs similarity between revised input and generated output.
- * @param {object[]} parsedSubsOriginal - Original parsed subtitle objects
- * @param {string[]} revisedSegments - Aligned revised text for each segment
+ * Read the near-match options, falling back to the defaults for empty or
+ * invalid fields.
+ * @returns {object} { threshold, weight } for createAligner()
  */
-function displayResult(parsedSubsOriginal, revisedSegments) {
-  // Format original subtitles for display
-  let originalFormatFunction;
-  const originalFormatArg = {
-    header: originalSubtitleHeader,
-    subtitles: parsedSubsOriginal,
-  };
-
-  switch (originalSubtitleFormat) {
-    case "sbv":
-      originalFormatFunction = formatSbv;
-      break;
-    case "vtt":
-      originalFormatFunction = formatVtt;
-      break;
-    case "srt":
-    default:
-      originalFormatFunction = formatSrt;
-      break;
-  }
-
-  const formattedOriginalContent = originalFormatFunction(originalFormatArg);
-  originalSrtDisplay.textContent = formattedOriginalContent;
-
-  // Create revised subtitle objects by injecting revised text into parsed segments
-  const revisedSubtitles = parsedSubsOriginal.map((sub, index) => ({
-    ...sub,
-    text: revisedSegments[index] || "",
-  }));
-
-  let revisedFormatFunction;
-  const revisedFormatArg = {
-    header: originalSubtitleHeader,
-    subtitles: revisedSubtitles,
+function readNearMatchOptions() {
+  return {
+    threshold:
+      readNumberInput(nearMatchThresholdInput, NEAR_MATCH_THRESHOLD * 100) /
+      100,
+    weight: readNumberInput(nearMatchWeightInput, NEAR_MATCH_WEIGHT),
   };
-
-  switch (originalSubtitleFormat) {
-    case "sbv":
-      revisedFormatFunction = formatSbv;
-      break;
-    case "vtt":
-      revisedFormatFunction = formatVtt;
-      break;
-    case "srt":
-    default:
-      revisedFormatFunction = formatSrt;
-      break;
-  }
-
-  // Generate final subtitle file and raw text version
-  revisedSubtitleResult = revisedFormatFunction(revisedFormatArg);
-  const revisedPlainText = getPlainTextFromSrt(revisedSubtitleResult);
-
-  // Compare the plain revised text to the user-provided input
-  const originalRevisedText = normalizeSpaces(
-    removeLineBreaks(revisedTextInput.value)
-  );
-  const score = calculateSimilarity(revisedPlainText, originalRevisedText);
-
-  console.log(
-    "Final similarity score between revised input and generated subtitle:",
-    score.toFixed(2) + "%"
-  );
-
-  // Show revised subtitle in output
-  revisedSrtDisplay.value = revisedSubtitleResult;
-  outputSection.style.display = "block";
 }
+
 /**
  * Main sync handler triggered on button click.
- * Parses subtitle file, prepares the text, runs Smith-Waterman, and maps output to segments.
+ * Hands the subtitle file and revised text to the sync worker, which parses,
+ * aligns and maps the result while reporting progress.
  */
 function handleSync() {
   const revisedText = revisedTextInput.value;
@@ -627,296 +502,308 @@ function handleSync() {
     return;
   }
 
-  statusMessage.textContent = "Lining things up nicely...";
+  const droppedPins = relocatePins(revisedText);
+  statusMessage.textContent =
+    droppedPins > 0
+      ? `Lining things up nicely... (${droppedPins} pin(s) dropped: their text is no longer in the revised text)`
+      : "Lining things up nicely...";
   outputSection.style.display = "none";
+  matchingScoreDisplay.style.display = "none";
   progressBarContainer.style.display = "block";
   progressBar.value = 0;
+  setSyncRunning(true);
+
+  const job = {
+    subtitleContent: originalSubtitleContent,
+    subtitleFormat: originalSubtitleFormat,
+    lenientParsing: lenientParsingInput.checked,
+    revisedText,
+    alignmentMode: alignmentModeSelect.value,
+    foldDiacritics: foldDiacriticsInput.checked,
+    glossary: glossaryInput.value,
+    preserveAnnotations: preserveAnnotationsInput.checked,
+    typography: readTypographyOptions(),
+    dialogue: {
+      dash: dialogueDashSelect.value,
+      space: dialogueDashSpaceInput.checked,
+    },
+    nearMatch: nearMatchEnabledInput.checked ? readNearMatchOptions() : null,
+    lineBreaking: {
+      mode: lineBreakModeSelect.value,
+      maxCharsPerLine: Number(maxCharsPerLineInput.value),
+      maxLines: Number(maxLinesInput.value),
+      preferPunctuation: preferPunctuationInput.checked,
+      keepFunctionWords: keepFunctionWordsInput.checked,
+      bottomHeavy: bottomHeavyInput.checked,
+    },
+    boundaryRefinement: refineBoundariesEnabledInput.checked
+      ? { toleranceMillis: Number(boundaryToleranceMillisInput.value) }
+      : null,
+    segmentation: resegmentEnabledInput.checked
+      ? {
+          maxCharsPerCue: Number(maxCharsPerCueInput.value),
+          minCueDurationMillis: Number(minCueDurationMillisInput.value),
+        }
+      : null,
+    retiming: retimeEnabledInput.checked
+      ? {
+          maxCharsPerSecond: Number(maxCharsPerSecondInput.value),
+          minDurationMillis: Number(minDurationMillisInput.value),
+          maxDurationMillis: Number(maxDurationMillisInput.value),
+          minGapMillis: Number(minGapMillisInput.value),
+        }
+      : null,
+    pins: revisedTextPins.map(({ start, end, cue }) => ({ start, end, cue })),
+  };
+  if (canReuseAlignment(job)) {
+    job.previousAlignment = {
+      alignment: lastSyncResult.alignment,
+      corners: lastSyncResult.alignmentCorners,
+    };
+    job.previousRevisedText = lastSyncJob.revisedText;
+  }
+
+  runningSyncJob = job;
+  startSyncJob(job);
+}
+
+/**
+ * Start a sync job in a Web Worker. Browsers that refuse to start workers
+ * (Chrome blocks them for pages opened from disk) run the job on the main
+ * thread instead, without live progress.
+ * @param {object} job - Job description passed to runSyncJob()
+ */
+function startSyncJob(job) {
+  let started = false;
 
   try {
-    // Step 1: Parse the original subtitle file
-    let parsedResult;
-    let parseFunction;
+    syncWorker = new Worker("sync-worker.js");
+  } catch (workerError) {
+    console.warn(
+      "Web Worker unavailable, syncing on the main thread:",
+      workerError
+    );
+    runSyncJobOnMainThread(job);
+    return;
+  }
+
+  syncWorker.onmessage = (event) => {
+    const message = event.data;
+    started = true;
 
-    switch (originalSubtitleFormat) {
-      case "sbv":
-        parseFunction = parseSbv;
+    switch (message.type) {
+      case "progress":
+        progressBar.value = message.percent;
+        statusMessage.textContent = `${message.message} (${message.percent}%)`;
         break;
-      case "vtt":
-        parseFunction = parseVtt;
+      case "done":
+        stopSyncWorker();
+        finishSync(message.result);
         break;
-      case "srt":
-      default:
-        parseFunction = parseSrt;
+      case "error":
+        stopSyncWorker();
+        failSync(new Error(message.message));
         break;
     }
+  };
 
-    parsedResult = parseFunction(originalSubtitleContent);
-    const parsedSubsOriginal = parsedResult.subtitles;
-    originalSubtitleHeader = parsedResult.header;
+  syncWorker.onerror = (event) => {
+    event.preventDefault();
+    stopSyncWorker();
 
-    if (!parsedSubsOriginal || parsedSubsOriginal.length === 0) {
-      throw new Error(
-        `Invalid or empty ${originalSubtitleFormat.toUpperCase()} file.`
-      );
+    // The worker script could not be loaded at all
+    if (!started) {
+      console.warn("Web Worker failed to start, syncing on the main thread.");
+      runSyncJobOnMainThread(job);
+      return;
     }
-
-    // Step 2: Prepare sequences for alignment
-    const seq1Global = parsedSubsOriginal.flatMap((sub) =>
-      sub.text.split(" ").filter(Boolean)
+    failSync(
+      new Error(event.message || "The sync worker stopped unexpectedly.")
     );
+  };
 
-    let revisedProcessed = replaceStraightQuotes(revisedText);
-    revisedProcessed = replaceHyphensWithDashes(revisedProcessed);
-    let revisedClean = removeLineBreaks(revisedProcessed);
-    revisedClean = normalizeSpaces(revisedClean);
-
-    const seq2Global = revisedClean.split(" ").filter(Boolean);
+  syncWorker.postMessage(job);
+}
 
-    if (seq1Global.length === 0 || seq2Global.length === 0) {
-      throw new Error(
-        "One of the word sequences (original or revised) is empty."
-      );
+/**
+ * Fallback for browsers without worker support: run the job on the main
+ * thread after giving the page a moment to repaint. The page is blocked
+ * until the job ends, so it cannot be cancelled and the Cancel button is
+ * hidden.
+ * @param {object} job - Job description passed to runSyncJob()
+ */
+function runSyncJobOnMainThread(job) {
+  cancelButton.style.display = "none";
+  statusMessage.textContent = "Finding the best way to match your words...";
+
+  setTimeout(() => {
+    try {
+      finishSync(runSyncJob(job, () => {}));
+    } catch (error) {
+      failSync(error);
     }
+  }, 50);
+}
 
-    progressBar.value = 10;
-    statusMessage.textContent = "Finding the best way to match your words...";
-
-    setTimeout(() => {
-      try {
-        // Step 3: Run Smith-Waterman algorithm
-        const { scoreMatrix, tracebackMatrix, maxScore, maxPos } =
-          smithWaterman(
-            seq1Global,
-            seq2Global,
-            MATCH_SCORE,
-            MISMATCH_PENALTY,
-            GAP_PENALTY
-          );
-
-        progressBar.value = 50;
-        statusMessage.textContent = "Performing traceback...";
-
-        const alignment = traceback(
-          seq1Global,
-          seq2Global,
-          scoreMatrix,
-          tracebackMatrix,
-          maxPos
-        );
-
-        progressBar.value = 80;
-        statusMessage.textContent = "Mapping alignment to segments...";
-
-        const revisedSegments = mapAlignmentToSegments(
-          alignment,
-          parsedSubsOriginal,
-          seq1Global
-        );
-
-        // Step 4: Compare full synced output to original revised input
-        const finalSyncedText = revisedSegments.join(" ");
-        const finalWords = finalSyncedText.split(" ").filter(Boolean);
-
-        let revisedFlat = replaceStraightQuotes(revisedText);
-        revisedFlat = replaceHyphensWithDashes(revisedFlat);
-        revisedFlat = removeLineBreaks(revisedFlat);
-        revisedFlat = normalizeSpaces(revisedFlat);
-
-        const revisedWords = revisedFlat.split(" ").filter(Boolean);
-
-        // Attempt to recover missing initial words with a more robust logic.
-        // Find the first word of the synced segment and locate its position in the full revised text.
-        const firstSyncedWord = revisedSegments[0]
-          ?.split(" ")
-          .filter(Boolean)[0];
-
-        if (firstSyncedWord) {
-          const firstWordClean = cleanForComparison(firstSyncedWord);
-
-          // We already have 'revisedWords' from the preparation step.
-          // Let's find the index of our first synced word in the full revised words array.
-          const startIndexInRevised = revisedWords.findIndex(
-            (word) => cleanForComparison(word) === firstWordClean
-          );
-
-          // If the word was found and its index is greater than 0, it means there's a prefix.
-          if (startIndexInRevised > 0) {
-            // Slice the revisedWords array from the beginning to our found index to get the true missing prefix.
-            const trueMissingPrefix = revisedWords
-              .slice(0, startIndexInRevised)
-              .join(" ");
-
-            // Prepend the found prefix to the first segment.
-            revisedSegments[0] = trueMissingPrefix + " " + revisedSegments[0];
-
-            console.log("Missing prefix recovered:", trueMissingPrefix);
-          }
-        }
-
-        // Attempt to recover missing final words with a more robust logic.
-        // Find the last word of the synced text and locate its last position in the full revised text.
-        const allSyncedWords = revisedSegments
-          .join(" ")
-          .split(" ")
-          .filter(Boolean);
-
-        if (allSyncedWords.length > 0) {
-          const lastSyncedWord = allSyncedWords[allSyncedWords.length - 1];
-          const lastWordClean = cleanForComparison(lastSyncedWord);
-
-          // We already have 'revisedWords' from the preparation step.
-          // Use findLastIndex to locate the last occurrence of our last synced word.
-          const lastIndexInRevised = revisedWords.findLastIndex(
-            (word) => cleanForComparison(word) === lastWordClean
-          );
-
-          // Check if the word was found and if it's not already the very last word of the revised text.
-          if (
-            lastIndexInRevised > -1 &&
-            lastIndexInRevised < revisedWords.length - 1
-          ) {
-            // If so, everything after it is the true missing tail.
-            const trueMissingTail = revisedWords
-              .slice(lastIndexInRevised + 1)
-              .join(" ");
-
-            if (trueMissingTail) {
-              // Append the found tail to the very last segment.
-              const lastSegmentIndex = revisedSegments.length - 1;
-              revisedSegments[lastSegmentIndex] = (
-                revisedSegments[lastSegmentIndex] +
-                " " +
-                trueMissingTail
-              ).trim();
-
-              console.log("Missing tail recovered:", trueMissingTail);
-            }
-          }
-        }
-
-        // Calculate similarity score for diagnostic purposes
-        let matched = 0;
-        for (
-          let i = 0;
-          i < Math.min(revisedWords.length, finalWords.length);
-          i++
-        ) {
-          if (
-            cleanForComparison(revisedWords[i]) ===
-            cleanForComparison(finalWords[i])
-          ) {
-            matched++;
-          }
-        }
-
-        const score = Math.round((matched / revisedWords.length) * 100);
-        statusMessage.textContent += ` | Match Score: ${score}%`;
-
-        console.log("Alignment finished successfully.");
-        console.log("Checking if revised text was preserved...");
-
-        // Step 5: Display results
-        displayResult(parsedSubsOriginal, revisedSegments);
-        statusMessage.textContent = "Sync complete! Take a look 🎉";
-
-        progressBar.value = 100;
+/**
+ * Terminate the sync worker, if one is running.
+ */
+function stopSyncWorker() {
+  if (syncWorker) {
+    syncWorker.terminate();
+    syncWorker = null;
+  }
+}
 
-        // Auto-scroll to output
-        outputSection.scrollIntoView({ behavior: "smooth" });
-      } catch (swError) {
-        console.error("Unexpected error during text matching:", swError);
+/**
+ * Abort the running sync. Terminating the worker stops the alignment at once;
+ * nothing from the aborted run is shown.
+ */
+function handleCancel() {
+  if (!syncWorker) return;
 
-        statusMessage.textContent = `SW Error: ${swError.message}`;
-        progressBarContainer.style.display = "none";
-      }
-    }, 50);
-  } catch (error) {
-    console.error("Error during preparation phase:", error);
-    statusMessage.textContent = `Preparation Error: ${error.message}`;
-    outputSection.style.display = "none";
-    progressBarContainer.style.display = "none";
-  }
+  stopSyncWorker();
+  setSyncRunning(false);
+  progressBarContainer.style.display = "none";
+  statusMessage.textContent = "Sync cancelled.";
 }
+
 /**
- * Extracts plain text from an SRT file by removing indices and timestamps.
- * Joins all text lines into a single normalized string.
- * @param {string} srtContent - Full content of the SRT file
- * @returns {string} Normalized plain text
+ * Toggle the Sync and Cancel buttons while a sync is running.
+ * @param {boolean} running - Whether a sync is in progress
  */
-function getPlainTextFromSrt(srtContent) {
-  return srtContent
-    .replace(/^\d+\s*$/gm, "") // remove index lines
-    .replace(
-      /^\d{2}:\d{2}:\d{2}[.,]\d{3} --> \d{2}:\d{2}:\d{2}[.,]\d{3}$/gm,
-      ""
-    ) // remove timestamp lines
-    .replace(/\r?\n/g, " ") // join lines
-    .replace(/\s+/g, " ") // normalize spaces
-    .trim();
+function setSyncRunning(running) {
+  syncButton.disabled = running;
+  cancelButton.style.display = running ? "inline-block" : "none";
 }
 
 /**
- * Calculates similarity score between two strings by comparing word-by-word equality.
- * Includes console debugging for the first and last 30 words.
- * @param {string} text1 - First text string
- * @param {string} text2 - Second text string
- * @returns {number} Percentage similarity score (0–100)
+ * Show the result of a finished sync job.
+ * @param {object} result - Result from runSyncJob()
  */
-function calculateSimilarity(text1, text2) {
-  const normalize = (str) =>
-    str
-      .replace(/[.,“”"`?!:;()\[\]{}]/g, "")
-      .toLowerCase()
-      .replace(/\s+/g, " ")
-      .trim();
-
-  const words1 = normalize(text1).split(" ");
-  const words2 = normalize(text2).split(" ");
-
-  let matches = 0;
-  const total = Math.max(words1.length, words2.length);
-
-  // Debug helper: logs side-by-side comparison
-  function debugSegment(w1, w2, label) {
-    console.log(`--- ${label} ---`);
-    for (let i = 0; i < w1.length; i++) {
-      const a = w1[i] || "(empty)";
-      const b = w2[i] || "(empty)";
-      console.log(`Comparing: "${a}" vs "${b}"`);
-    }
-  }
+function finishSync(result) {
+  setSyncRunning(false);
+  originalSubtitleHeader = result.header;
+  originalSubtitleFooter = result.footer;
+  originalSubtitleBlocks = result.blocks;
+
+  // A re-sync that reused the last alignment keeps the edits made since
+  const previousResult = runningSyncJob.previousAlignment
+    ? lastSyncResult
+    : null;
+  lastSyncResult = result;
+  lastSyncJob = runningSyncJob;
+
+  console.log("Alignment finished successfully.");
+
+  // Display results
+  const changedCount = displayResult(result, previousResult);
+  statusMessage.textContent = previousResult
+    ? `Re-sync complete: ${changedCount} of ${result.subtitles.length} cues changed, your edits to the others were kept.`
+    : "Sync complete! Take a look 🎉";
+  matchingScoreDisplay.textContent = `Match Score: ${result.matchScore}%`;
+  matchingScoreDisplay.style.display = "block";
+
+  progressBar.value = 100;
+
+  // Auto-scroll to output
+  outputSection.scrollIntoView({ behavior: "smooth" });
+}
 
-  // Logs: beginning
-  debugSegment(words1.slice(0, 30), words2.slice(0, 30), "First 30 words");
+/**
+ * Report a failed sync job.
+ * @param {Error} error - What went wrong
+ */
+function failSync(error) {
+  console.error("Unexpected error during text matching:", error);
 
-  if (total > 60) console.log("... [comparison continues] ...");
+  setSyncRunning(false);
+  statusMessage.textContent = `Sync Error: ${error.message}`;
+  outputSection.style.display = "none";
+  progressBarContainer.style.display = "none";
+}
+/**
+ * Formats the edited cues in every output format that is ticked and
+ * downloads one file per format. The uploaded format keeps its own extension
+ * (e.g. .dfxp stays .dfxp).
+ */
+function handleDownload() {
+  const cues = getEditorCues();
+  if (cues.length === 0) return;
+
+  const targetFormats = [...outputFormatInputs]
+    .filter((input) => input.checked)
+    .map((input) =>
+      getSubtitleFormatFamily(originalSubtitleFormat) === input.value
+        ? originalSubtitleFormat
+        : input.value
+    );
+  if (targetFormats.length === 0) {
+    statusMessage.textContent = "Choose at least one format to download.";
+    return;
+  }
 
-  // Logs: end
-  debugSegment(words1.slice(-30), words2.slice(-30), "Last 30 words");
+  const baseName = originalSubtitleFileName.replace(
+    /\.(srt|sbv|vtt|ass|ssa|ttml|dfxp|xml)$/i,
+    ""
+  );
 
-  // Main comparison
-  for (let i = 0; i < total; i++) {
-    if ((words1[i] || "") === (words2[i] || "")) matches++;
+  let totalReplaced = 0;
+  for (const format of targetFormats) {
+    const finalSubtitleContent = formatSubtitlesAs(
+      {
+        header: originalSubtitleHeader,
+        footer: originalSubtitleFooter,
+        blocks: originalSubtitleBlocks,
+        subtitles: cues,
+      },
+      originalSubtitleFormat,
+      format
+    );
+    const encodingOptions = { bom: outputBomInput.checked };
+    const documentContent =
+      getSubtitleFormatFamily(format) === "ttml"
+        ? setXmlDeclaredEncoding(
+            finalSubtitleContent,
+            outputEncodingSelect.value,
+            encodingOptions
+          )
+        : finalSubtitleContent;
+    const { bytes, replacedCount } = encodeText(
+      setLineEndings(documentContent, lineEndingSelect.value),
+      outputEncodingSelect.value,
+      encodingOptions
+    );
+    totalReplaced += replacedCount;
+    downloadFile(
+      bytes,
+      `${baseName}_revised.${format}`,
+      outputEncodingSelect.value
+    );
   }
 
-  return total === 0 ? 0 : (matches / total) * 100;
+  if (totalReplaced > 0) {
+    statusMessage.textContent = `${totalReplaced} character(s) have no place in ${
+      TEXT_ENCODING_NAMES[outputEncodingSelect.value]
+    } and were written as look-alikes or "?". Choose UTF-8 to keep them.`;
+  }
 }
+
 /**
- * Creates and triggers download of the revised subtitle content in original format.
+ * Triggers the download of a text file.
+ * @param {Uint8Array} bytes - Encoded file content
+ * @param {string} fileName - Name to save it under
+ * @param {string} encoding - Encoding of the content
  */
-function handleDownload() {
-  const finalSubtitleContent = revisedSrtDisplay.value;
-  if (!finalSubtitleContent) return;
-
-  const blob = new Blob([finalSubtitleContent], {
-    type: "text/plain;charset=utf-8",
+function downloadFile(bytes, fileName, encoding) {
+  const blob = new Blob([bytes], {
+    type: `text/plain;charset=${encoding}`,
   });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
   a.href = url;
-  const baseName = originalSubtitleFileName.replace(/\.(srt|sbv|vtt)$/i, "");
-  a.download = `${baseName}_revised.${originalSubtitleFormat}`;
+  a.download = fileName;
 
   document.body.appendChild(a);
   a.click();
@@ -924,37 +811,102 @@ function handleDownload() {
   URL.revokeObjectURL(url);
 }
 
-// --- Synced Scroll Logic ---
-let isSyncingScroll = false; // Flag to prevent infinite loop
-
-function syncScroll(sourceElement, targetElement) {
-  if (isSyncingScroll) return;
-  isSyncingScroll = true;
+// --- Character Encoding ---
 
-  const sourceScrollTop = sourceElement.scrollTop;
-  const sourceScrollHeight =
-    sourceElement.scrollHeight - sourceElement.clientHeight;
-  const targetScrollHeight =
-    targetElement.scrollHeight - targetElement.clientHeight;
+/**
+ * Decode the uploaded file with the encoding chosen for it, or the detected
+ * one, and check the result.
+ * @returns {object} Result of renderFileCheck()
+ */
+function decodeSubtitleFile() {
+  const detected = detectTextEncoding(originalSubtitleBytes);
+  originalSubtitleEncoding =
+    inputEncodingSelect.value === "auto"
+      ? detected.encoding
+      : inputEncodingSelect.value;
+  originalSubtitleContent = decodeText(
+    originalSubtitleBytes,
+    originalSubtitleEncoding
+  );
 
-  if (sourceScrollHeight > 0 && targetScrollHeight > 0) {
-    const scrollRatio = sourceScrollTop / sourceScrollHeight;
-    targetElement.scrollTop = scrollRatio * targetScrollHeight;
+  let description = `Detected: ${TEXT_ENCODING_NAMES[detected.encoding]}${
+    detected.bom ? " with byte order mark" : ""
+  }.`;
+  const unreadable = (originalSubtitleContent.match(/\ufffd/g) || []).length;
+  if (unreadable > 0) {
+    description += ` ${unreadable} character(s) could not be read as ${TEXT_ENCODING_NAMES[originalSubtitleEncoding]}: try another encoding.`;
   }
+  detectedEncodingLabel.textContent = description;
 
-  // Reset flag on the next animation frame to avoid scroll ping-pong
-  requestAnimationFrame(() => {
-    isSyncingScroll = false;
-  });
+  return renderFileCheck();
 }
 
-originalSrtDisplay.addEventListener("scroll", () => {
-  syncScroll(originalSrtDisplay, revisedSrtDisplay);
-});
+/**
+ * Describe the loaded file in the status message.
+ * @param {object} check - Result of renderFileCheck()
+ */
+function showFileLoaded({ issues }) {
+  const loaded = `File loaded (${originalSubtitleFormat.toUpperCase()}, ${
+    TEXT_ENCODING_NAMES[originalSubtitleEncoding]
+  })`;
+  statusMessage.textContent =
+    issues.length > 0
+      ? `${loaded} with ${issues.length} issue(s): see the file check below the upload.`
+      : `${loaded}. Paste the revised text and click 'Sync'.`;
+}
 
-revisedSrtDisplay.addEventListener("scroll", () => {
-  syncScroll(revisedSrtDisplay, originalSrtDisplay);
-});
+// --- File Check ---
+
+/**
+ * Show what checkSubtitleFile() finds in the uploaded file, so malformed
+ * blocks and timing problems are seen before syncing rather than lost.
+ * @returns {object|null} Result of checkSubtitleFile(), or null without a file
+ */
+function renderFileCheck() {
+  fileIssueList.replaceChildren();
+  if (!originalSubtitleContent) {
+    fileCheck.style.display = "none";
+    detectedEncodingLabel.textContent = "";
+    return null;
+  }
+
+  const check = checkSubtitleFile(
+    originalSubtitleContent,
+    originalSubtitleFormat,
+    { lenient: lenientParsingInput.checked }
+  );
+  fileCheck.style.display = "block";
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const { severity } of check.issues) counts[severity]++;
+  const found = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${severity}${count > 1 ? "s" : ""}`);
+
+  let summary = `${check.cueCount} cue(s) read; ${
+    found.length > 0 ? found.join(", ") : "no problems found"
+  }.`;
+  if (check.skippedCount > 0) {
+    summary += lenientParsingInput.checked
+      ? ` ${check.skippedCount} malformed cue(s) recovered.`
+      : ` ${check.skippedCount} malformed cue(s) will be skipped unless recovery is turned on.`;
+  }
+  fileCheckSummary.textContent = summary;
+
+  for (const { line, position, severity, message } of check.issues) {
+    const item = document.createElement("li");
+    item.className = `issue-${severity}`;
+
+    const place = document.createElement("span");
+    place.className = "issue-place";
+    place.textContent =
+      line === undefined ? `Cue ${position + 1}` : `Line ${line}`;
+
+    item.append(place, ` ${message}`);
+    fileIssueList.appendChild(item);
+  }
+  return check;
+}
 
 // --- File Input Handler ---
 subtitleFileInput.addEventListener("change", (event) => {
@@ -964,35 +916,80 @@ subtitleFileInput.addEventListener("change", (event) => {
     const reader = new FileReader();
     const extension = originalSubtitleFileName.split(".").pop().toLowerCase();
 
-    if (["srt", "sbv", "vtt"].includes(extension)) {
+    const supportedExtensions = [
+      "srt",
+      "sbv",
+      "vtt",
+      "ass",
+      "ssa",
+      "ttml",
+      "dfxp",
+      "xml",
+    ];
+    if (supportedExtensions.includes(extension)) {
       originalSubtitleFormat = extension;
+
+      // Download in the uploaded format unless told otherwise
+      const family = getSubtitleFormatFamily(extension);
+      for (const input of outputFormatInputs) {
+        input.checked = input.value === family;
+      }
     } else {
       statusMessage.textContent =
-        "Error: Unsupported file format. Please use SRT, SBV, or VTT.";
+        "Error: Unsupported file format. Please use SRT, SBV, VTT, ASS, SSA or TTML (DFXP, EBU-TT-D).";
       originalSubtitleContent = "";
+      originalSubtitleBytes = null;
       subtitleFileInput.value = "";
+      renderFileCheck();
       return;
     }
 
     reader.onload = (e) => {
-      originalSubtitleContent = e.target.result;
-      statusMessage.textContent = `File loaded (${originalSubtitleFormat.toUpperCase()}). Paste the revised text and click 'Sync'.`;
+      originalSubtitleBytes = new Uint8Array(e.target.result);
+      showFileLoaded(decodeSubtitleFile());
       outputSection.style.display = "none";
+
+      // Write the download the way the upload was written unless told otherwise
+      outputEncodingSelect.value = originalSubtitleEncoding;
+      outputBomInput.checked =
+        findByteOrderMark(originalSubtitleBytes) !== null;
+      lineEndingSelect.value = originalSubtitleContent.includes("\r\n")
+        ? "crlf"
+        : "lf";
     };
 
     reader.onerror = (e) => {
       console.error("Failed to read file:", e);
       statusMessage.textContent = `Error reading ${originalSubtitleFormat.toUpperCase()} file.`;
       originalSubtitleContent = "";
+      originalSubtitleBytes = null;
+      renderFileCheck();
     };
 
-    reader.readAsText(file, "UTF-8");
+    reader.readAsArrayBuffer(file);
   } else {
     originalSubtitleContent = "";
+    originalSubtitleBytes = null;
+    renderFileCheck();
     statusMessage.textContent = "No subtitle file selected.";
   }
 });
 
 // --- Button Event Bindings ---
 syncButton.addEventListener("click", handleSync);
+pinButton.addEventListener("click", handlePin);
+lenientParsingInput.addEventListener("change", renderFileCheck);
+inputEncodingSelect.addEventListener("change", () => {
+  if (originalSubtitleBytes) showFileLoaded(decodeSubtitleFile());
+});
+cancelButton.addEventListener("click", handleCancel);
+confidenceThresholdInput.addEventListener("input", renderReviewList);
+alignmentModeSelect.addEventListener("change", () => {
+  translationOptions.style.display =
+    alignmentModeSelect.value === "translation" ? "block" : "none";
+});
+typographyLocaleSelect.addEventListener("change", showTypographyDefaults);
+for (const tab of viewTabs) {
+  tab.addEventListener("click", () => showResultView(tab.dataset.view));
+}
 downloadButton.addEventListener("click", handleDownload);
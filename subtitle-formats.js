@@ -0,0 +1,1510 @@
+// --- Time Conversion Functions ---
+
+/**
+ * Convert timestamp string (hh:mm:ss,ms) into milliseconds.
+ * Used for SRT format.
+ */
+function timeToMillis(time) {
+  const parts = time.split(/[:.,]/);
+  if (parts.length !== 4) return 0;
+  try {
+    return (
+      parseInt(parts[0], 10) * 3600000 +
+      parseInt(parts[1], 10) * 60000 +
+      parseInt(parts[2], 10) * 1000 +
+      parseInt(parts[3], 10)
+    );
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Convert milliseconds to SRT timestamp format (hh:mm:ss,ms).
+ */
+function millisToTimeSrt(millis) {
+  const totalSeconds = Math.floor(millis / 1000);
+  const ms = String(millis % 1000).padStart(3, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  const totalMinutes = Math.floor(totalSeconds / 60);
+  const minutes = String(totalMinutes % 60).padStart(2, "0");
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, "0");
+  return `${hours}:${minutes}:${seconds},${ms}`;
+}
+
+/**
+ * Convert milliseconds to VTT timestamp format (hh:mm:ss.ms).
+ */
+function millisToTimeVtt(millis) {
+  const totalSeconds = Math.floor(millis / 1000);
+  const ms = String(millis % 1000).padStart(3, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  const totalMinutes = Math.floor(totalSeconds / 60);
+  const minutes = String(totalMinutes % 60).padStart(2, "0");
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, "0");
+  return `${hours}:${minutes}:${seconds}.${ms}`;
+}
+
+/**
+ * Convert an ASS/SSA timestamp (h:mm:ss.cc, in centiseconds) into milliseconds.
+ * @param {string} time - Timestamp from a Dialogue line
+ * @returns {number} Milliseconds (0 when the timestamp is malformed)
+ */
+function assTimeToMillis(time) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(time.trim());
+  if (!match) return 0;
+  return (
+    parseInt(match[1], 10) * 3600000 +
+    parseInt(match[2], 10) * 60000 +
+    parseInt(match[3], 10) * 1000 +
+    Math.round(parseFloat(`0.${match[4]}`) * 1000)
+  );
+}
+
+/**
+ * Convert milliseconds to ASS/SSA timestamp format (h:mm:ss.cc).
+ */
+function millisToTimeAss(millis) {
+  const totalCentiseconds = Math.round(millis / 10);
+  const centiseconds = String(totalCentiseconds % 100).padStart(2, "0");
+  const totalSeconds = Math.floor(totalCentiseconds / 100);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  const totalMinutes = Math.floor(totalSeconds / 60);
+  const minutes = String(totalMinutes % 60).padStart(2, "0");
+  const hours = Math.floor(totalMinutes / 60);
+  return `${hours}:${minutes}:${seconds}.${centiseconds}`;
+}
+
+// --- Inline Markup ---
+
+// Formatting tags found in SRT and SBV text: HTML-style tags (<i>, <b>, <u>,
+// <font color="...">) and ASS-style override blocks ({\an8}, {\i1})
+const SUBTITLE_TAG_PATTERN = /(<\/?[a-zA-Z][^>]*>|\{\\[^}]*\})/;
+
+/**
+ * Separate spoken words from inline markup (style tags, override blocks).
+ * Each tag is anchored to a word position so it can be put back around the
+ * same words later, even after the text has been replaced. Non-breaking
+ * spaces do not separate words.
+ * @param {string[]} rawLines - Lines of cue text, markup included
+ * @param {RegExp} tagPattern - Matches one tag, wrapped in a capture group
+ * @param {Function} [toText] - Turns the text between tags into plain text
+ * @returns {object} { lines, tags } where tags lists { position, tag, glue }:
+ *   the tag goes before word `position` of the cue, glued to the previous
+ *   word ("previous") or to the next one ("next")
+ */
+function extractInlineTags(rawLines, tagPattern, toText = (part) => part) {
+  const lines = [];
+  const tags = [];
+  let wordCount = 0;
+
+  for (const rawLine of rawLines) {
+    const words = [];
+    let gluedToPrevious = false;
+
+    // Splitting on a capturing pattern puts the tags at the odd indexes
+    rawLine.split(tagPattern).forEach((part, partIndex) => {
+      if (partIndex % 2 === 1) {
+        tags.push({
+          position: wordCount + words.length,
+          tag: part,
+          glue: gluedToPrevious ? "previous" : "next",
+        });
+        return;
+      }
+
+      const text = toText(part);
+      const fragments = text.split(/[^\S\u00a0\u202f]+/);
+
+      // Text right after a tag that sits inside a word ("<b>fine</b>,")
+      // continues that word
+      if (gluedToPrevious && words.length > 0 && fragments[0] !== "") {
+        words[words.length - 1] += fragments.shift();
+      }
+      words.push(...fragments.filter(Boolean));
+      gluedToPrevious =
+        /[\S\u00a0\u202f]$/.test(text) || (gluedToPrevious && !text);
+    });
+
+    wordCount += words.length;
+    if (words.length > 0) lines.push(words.join(" "));
+  }
+
+  return { lines, tags };
+}
+
+/**
+ * Put a cue's inline tags back around its words. Tags anchored past the last
+ * word (e.g. after the cue was shortened by hand) go at the end.
+ * @param {string[]} lines - Cue lines
+ * @param {object[]} [tags] - Inline tags ({ position, tag, glue })
+ * @returns {string[]} Lines with the tags inserted
+ */
+function applyInlineTags(lines, tags) {
+  if (!tags || tags.length === 0) return lines;
+
+  const wordCount = lines.reduce(
+    (count, line) => count + line.split(" ").filter(Boolean).length,
+    0
+  );
+  const before = new Array(wordCount + 1).fill("");
+  const after = new Array(wordCount).fill("");
+
+  for (const { position, tag, glue } of tags) {
+    const wordIndex = Math.min(Math.max(position, 0), wordCount);
+    if (glue === "previous" && wordIndex > 0) {
+      after[wordIndex - 1] += tag;
+    } else {
+      before[wordIndex] += tag;
+    }
+  }
+
+  let wordIndex = 0;
+  const tagged = lines.map((line) =>
+    line
+      .split(" ")
+      .filter(Boolean)
+      .map((word) => {
+        const taggedWord = before[wordIndex] + word + after[wordIndex];
+        wordIndex++;
+        return taggedWord;
+      })
+      .join(" ")
+  );
+
+  if (tagged.length === 0) tagged.push("");
+  tagged[tagged.length - 1] += before[wordCount];
+  return tagged;
+}
+
+// Markup written for italic, bold and underline in each format family
+const STYLE_TAGS = {
+  html: {
+    italic: ["<i>", "</i>"],
+    bold: ["<b>", "</b>"],
+    underline: ["<u>", "</u>"],
+  },
+  ass: {
+    italic: ["{\\i1}", "{\\i0}"],
+    bold: ["{\\b1}", "{\\b0}"],
+    underline: ["{\\u1}", "{\\u0}"],
+  },
+  ttml: {
+    italic: ['<span tts:fontStyle="italic">', "</span>"],
+    bold: ['<span tts:fontWeight="bold">', "</span>"],
+    underline: ['<span tts:textDecoration="underline">', "</span>"],
+  },
+};
+
+/**
+ * Read which styles a tag switches on or off. Only italic, bold and
+ * underline are understood; anything else (colours, voices, positioning)
+ * has no equivalent in every format and is left out.
+ * @param {string} tag - Inline tag
+ * @param {string[][]} openSpans - Styles of the <span> elements still open,
+ *   updated as spans open and close
+ * @returns {object[]} { style, on } for each change
+ */
+function readStyleChanges(tag, openSpans) {
+  if (tag.startsWith("{")) {
+    const changes = [];
+    const overridePattern = /\\([ibu])(\d+)/g;
+    let match;
+    while ((match = overridePattern.exec(tag)) !== null) {
+      const style = { i: "italic", b: "bold", u: "underline" }[match[1]];
+      changes.push({ style, on: match[2] !== "0" });
+    }
+    return changes;
+  }
+
+  const element = /^<(\/?)(?:[\w-]+:)?([\w.-]+)/.exec(tag);
+  if (!element) return [];
+  const [, closing, name] = element;
+  const htmlStyle = { i: "italic", b: "bold", u: "underline" }[name];
+  if (htmlStyle) return [{ style: htmlStyle, on: !closing }];
+  if (name !== "span") return [];
+
+  if (closing) {
+    return (openSpans.pop() || []).map((style) => ({ style, on: false }));
+  }
+  const styles = [];
+  if (/fontStyle\s*=\s*["']italic/.test(tag)) styles.push("italic");
+  if (/fontWeight\s*=\s*["']bold/.test(tag)) styles.push("bold");
+  if (/textDecoration\s*=\s*["']underline/.test(tag)) styles.push("underline");
+  openSpans.push(styles);
+  return styles.map((style) => ({ style, on: true }));
+}
+
+/**
+ * Rewrite a cue's inline tags for another format family. Italic, bold and
+ * underline carry over; other markup is dropped.
+ * @param {object[]} [tags] - Inline tags of the cue
+ * @param {string} family - Target family: "html", "ass" or "ttml"
+ * @returns {object[]|undefined} Tags in the target format's syntax
+ */
+function translateInlineTags(tags, family) {
+  if (!tags) return tags;
+
+  const openSpans = [];
+  const translated = [];
+  for (const tag of tags) {
+    for (const { style, on } of readStyleChanges(tag.tag, openSpans)) {
+      translated.push({ ...tag, tag: STYLE_TAGS[family][style][on ? 0 : 1] });
+    }
+  }
+  return translated;
+}
+
+// --- Subtitle Parsing (SRT) ---
+
+/**
+ * Parse SRT file content into subtitle blocks with timestamps and text.
+ * Formatting tags are kept apart from the words as inline tags.
+ */
+function parseSrt(data) {
+  const pattern =
+    /(\d+)\r?\n(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})\r?\n([\s\S]*?)(?=\r?\n\r?\n|$)/g;
+  let match;
+  const subtitles = [];
+  let expectedIndex = 1;
+
+  while ((match = pattern.exec(data)) !== null) {
+    const indexFromFile = parseInt(match[1], 10);
+    const currentIndex = isNaN(indexFromFile) ? expectedIndex : indexFromFile;
+    const { lines, tags } = extractInlineTags(
+      match[4].split(/\r?\n/),
+      SUBTITLE_TAG_PATTERN
+    );
+
+    subtitles.push({
+      index: currentIndex,
+      startTime: match[2],
+      endTime: match[3],
+      startMillis: timeToMillis(match[2]),
+      endMillis: timeToMillis(match[3]),
+      text: lines.join(" "),
+      originalTextLines: lines,
+      tags,
+    });
+
+    expectedIndex = currentIndex + 1;
+  }
+
+  return { header: "", subtitles };
+}
+
+/**
+ * Parse SBV subtitle data into an array of subtitle objects.
+ * Converts SBV timestamps (with dot) into SRT format (with comma).
+ * Formatting tags are kept apart from the words as inline tags.
+ */
+function parseSbv(data) {
+  const pattern =
+    /(\d{1,2}:\d{2}:\d{2}\.\d{3}),(\d{1,2}:\d{2}:\d{2}\.\d{3})\r?\n([\s\S]*?)(?=\r?\n\r?\n|$)/g;
+  let match;
+  const subtitles = [];
+  let indexCounter = 1;
+
+  while ((match = pattern.exec(data)) !== null) {
+    const startTimeSbv = match[1];
+    const endTimeSbv = match[2];
+
+    const startTimeSrt = startTimeSbv.replace(".", ",");
+    const endTimeSrt = endTimeSbv.replace(".", ",");
+
+    const { lines, tags } = extractInlineTags(
+      match[3].split(/\r?\n/),
+      SUBTITLE_TAG_PATTERN
+    );
+
+    subtitles.push({
+      index: indexCounter++,
+      startTime: startTimeSrt,
+      endTime: endTimeSrt,
+      startMillis: timeToMillis(startTimeSrt),
+      endMillis: timeToMillis(endTimeSrt),
+      text: lines.join(" "),
+      originalTextLines: lines,
+      tags,
+    });
+  }
+
+  return { header: "", subtitles };
+}
+
+/**
+ * Decode the character references allowed in WebVTT cue text.
+ * @param {string} text - Cue text between tags
+ * @returns {string} Plain text
+ */
+function decodeVttText(text) {
+  const named = { nbsp: "\u00a0", lrm: "\u200e", rlm: "\u200f" };
+  return decodeXmlText(
+    text.replace(/&(nbsp|lrm|rlm);/g, (_, name) => named[name])
+  );
+}
+
+/**
+ * Parse VTT subtitle data into an array of subtitle objects.
+ * The "WEBVTT" line and the header lines right after it are kept as the
+ * header. Each cue keeps its identifier and cue settings, and its voice,
+ * class and other tags become inline tags. NOTE, STYLE and REGION blocks are
+ * returned as blocks, each remembering which cue it came before; those after
+ * the last cue form the footer.
+ */
+function parseVtt(data) {
+  const lines = data.replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  // Group the lines into blocks separated by blank lines
+  const rawBlocks = [];
+  let current = [];
+  for (const line of lines) {
+    if (line.trim() === "") {
+      if (current.length > 0) rawBlocks.push(current);
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) rawBlocks.push(current);
+
+  let header = "";
+  if (rawBlocks.length > 0 && rawBlocks[0][0].trim().startsWith("WEBVTT")) {
+    header = rawBlocks.shift().join("\n");
+  }
+
+  const subtitles = [];
+  const blocks = [];
+
+  for (const block of rawBlocks) {
+    const timingLine = block.findIndex((line) => line.includes("-->"));
+
+    // NOTE, STYLE and REGION blocks (and anything else without a timing line)
+    if (timingLine === -1 || timingLine > 1 || /^NOTE(\s|$)/.test(block[0])) {
+      blocks.push({ before: subtitles.length, text: block.join("\n") });
+      continue;
+    }
+
+    const timing =
+      /^\s*(\S+)\s+-->\s+(\S+)(?:\s+(.*?))?\s*$/.exec(block[timingLine]) || [];
+    const [, startRaw = "", endRaw = "", settings = ""] = timing;
+
+    // Normalize short times (e.g. mm:ss.xxx → hh:mm:ss.xxx)
+    let startTime = startRaw;
+    let endTime = endRaw;
+    if (startTime.split(":").length === 2) startTime = "00:" + startTime;
+    if (endTime.split(":").length === 2) endTime = "00:" + endTime;
+
+    const startSrt = startTime.replace(".", ",");
+    const endSrt = endTime.replace(".", ",");
+    const { lines: textLines, tags } = extractInlineTags(
+      block.slice(timingLine + 1),
+      /(<[^>]+>)/,
+      decodeVttText
+    );
+
+    subtitles.push({
+      index: subtitles.length + 1,
+      startTime: startSrt,
+      endTime: endSrt,
+      startMillis: timeToMillis(startSrt),
+      endMillis: timeToMillis(endSrt),
+      text: textLines.join(" "),
+      originalTextLines: textLines,
+      tags,
+      vtt: {
+        id: timingLine === 1 ? block[0].trim() : "",
+        settings,
+        source: subtitles.length,
+      },
+    });
+  }
+
+  // Blocks after the last cue stay at the end of the file
+  const footer = blocks
+    .filter((block) => block.before >= subtitles.length)
+    .map((block) => block.text)
+    .join("\n\n");
+
+  return {
+    header,
+    footer,
+    blocks: blocks.filter((block) => block.before < subtitles.length),
+    subtitles,
+  };
+}
+
+// --- Subtitle Parsing (ASS/SSA) ---
+
+/**
+ * Split the value of a Dialogue line into its fields. Only the last field
+ * (the text) may contain commas.
+ * @param {string} value - Everything after "Dialogue:"
+ * @param {number} count - Number of fields declared by the Format line
+ * @returns {string[]} Field values
+ */
+function splitAssFields(value, count) {
+  const fields = [];
+  let rest = value;
+  while (fields.length < count - 1) {
+    const comma = rest.indexOf(",");
+    if (comma === -1) break;
+    fields.push(rest.slice(0, comma));
+    rest = rest.slice(comma + 1);
+  }
+  fields.push(rest);
+  return fields;
+}
+
+/**
+ * Separate the spoken words of an ASS text field from its markup.
+ * "\N" starts a new line and "\h" becomes a non-breaking space. Every
+ * override block ("{\i1}", "{\an8}", ...) becomes an inline tag, and so does
+ * each soft break ("\n"), which also separates the words around it.
+ * @param {string} text - Text field of a Dialogue line
+ * @returns {object} { lines, tags } as returned by extractInlineTags()
+ */
+function parseAssText(text) {
+  return extractInlineTags(
+    text.replace(/\\n(?=\S)/g, "\\n ").split("\\N"),
+    /(\{[^}]*\}|\\n)/,
+    (part) => part.replace(/\\h/g, "\u00a0")
+  );
+}
+
+/**
+ * Write cue lines and inline tags back as an ASS text field, the reverse of
+ * parseAssText().
+ * @param {string[]} lines - Cue lines
+ * @param {object[]} [tags] - Inline tags ({ position, tag, glue })
+ * @returns {string} Text field of a Dialogue line
+ */
+function formatAssText(lines, tags) {
+  return applyInlineTags(lines, tags)
+    .join("\\N")
+    .replace(/\\n /g, "\\n")
+    .replace(/\u00a0/g, "\\h");
+}
+
+/**
+ * Parse ASS/SSA subtitle data. Everything up to the [Events] Format line is
+ * kept as the header. The other lines of the [Events] section (Comment,
+ * Sound, Picture and Command events) are returned as blocks, each
+ * remembering which cue it came before; those after the last cue and any
+ * later sections form the footer. Each cue keeps the other fields of its
+ * Dialogue line (layer, style, name, margins, effect) so only the text
+ * changes when the file is written back.
+ */
+function parseAss(data) {
+  const lines = data.split(/\r?\n/);
+  const headerLines = [];
+  const footerLines = [];
+  const blocks = [];
+  const subtitles = [];
+  let section = "";
+  let eventFields = null;
+
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+    const sectionMatch = /^\[(.+)\]$/.exec(trimmedLine);
+    if (sectionMatch) section = sectionMatch[1].toLowerCase();
+
+    if (!eventFields) {
+      headerLines.push(line);
+      if (section === "events" && /^Format\s*:/i.test(trimmedLine)) {
+        eventFields = trimmedLine
+          .replace(/^Format\s*:/i, "")
+          .split(",")
+          .map((field) => field.trim().toLowerCase());
+      }
+      continue;
+    }
+
+    if (section !== "events") {
+      footerLines.push(line);
+      continue;
+    }
+
+    // Events other than dialogue stay between the cues they were found at
+    const dialogueMatch = /^Dialogue\s*:\s*(.*)$/i.exec(trimmedLine);
+    if (!dialogueMatch) {
+      blocks.push({ before: subtitles.length, text: line });
+      continue;
+    }
+
+    const fields = splitAssFields(dialogueMatch[1], eventFields.length);
+    const startField = eventFields.indexOf("start");
+    const endField = eventFields.indexOf("end");
+    const textField = eventFields.indexOf("text");
+    const startMillis = assTimeToMillis(fields[startField] || "");
+    const endMillis = assTimeToMillis(fields[endField] || "");
+    const { lines: textLines, tags } = parseAssText(fields[textField] || "");
+
+    subtitles.push({
+      index: subtitles.length + 1,
+      startTime: millisToTimeSrt(startMillis),
+      endTime: millisToTimeSrt(endMillis),
+      startMillis,
+      endMillis,
+      text: textLines.join(" "),
+      originalTextLines: textLines,
+      tags,
+      ass: {
+        fields,
+        startField,
+        endField,
+        textField,
+        source: subtitles.length,
+      },
+    });
+  }
+
+  // Events after the last cue stay at the end of the section
+  footerLines.unshift(
+    ...blocks
+      .filter((block) => block.before >= subtitles.length)
+      .map((block) => block.text)
+  );
+
+  // Drop the blank lines that separate the last cue from the end of the file
+  while (footerLines.length > 0 && footerLines.at(-1).trim() === "") {
+    footerLines.pop();
+  }
+
+  return {
+    header: headerLines.join("\n"),
+    footer: footerLines.join("\n"),
+    blocks: blocks.filter((block) => block.before < subtitles.length),
+    subtitles,
+  };
+}
+
+// --- Subtitle Parsing (TTML / DFXP / EBU-TT-D) ---
+//
+// Workers have no DOMParser, so the XML is read with a few patterns that are
+// enough for caption documents: <div> and <p> elements in the body, with
+// <span> and <br/> inside paragraphs. Element names may carry a namespace
+// prefix (EBU-TT-D files usually use "tt:").
+
+/**
+ * Read the timing parameters (ttp:frameRate, ttp:frameRateMultiplier,
+ * ttp:subFrameRate, ttp:tickRate) from the <tt> root element.
+ * @param {string} xml - Document, or at least the part holding <tt>
+ * @returns {object} { frameRate, subFrameRate, tickRate }
+ */
+function readTtmlTimingParameters(xml) {
+  const root = /<(?:[\w-]+:)?tt(?=[\s>])[^>]*>/.exec(xml);
+  const attributes = root ? root[0] : "";
+  const declaredFrameRate = readXmlAttribute(attributes, "ttp:frameRate");
+  const multiplier = readXmlAttribute(attributes, "ttp:frameRateMultiplier");
+
+  const baseFrameRate = parseFloat(declaredFrameRate) || 30;
+  const [numerator, denominator] = (multiplier || "1 1")
+    .trim()
+    .split(/\s+/)
+    .map(Number);
+  const frameRate = (baseFrameRate * (numerator || 1)) / (denominator || 1);
+  const subFrameRate =
+    parseFloat(readXmlAttribute(attributes, "ttp:subFrameRate")) || 1;
+
+  // Without a tick rate, ticks are frames when a frame rate is given,
+  // seconds otherwise
+  let tickRate = parseFloat(readXmlAttribute(attributes, "ttp:tickRate"));
+  if (!tickRate) tickRate = declaredFrameRate ? frameRate * subFrameRate : 1;
+
+  return { frameRate, subFrameRate, tickRate };
+}
+
+/**
+ * Convert a TTML time expression into milliseconds. Handles clock times
+ * (hh:mm:ss.fff), clock times with frames (hh:mm:ss:ff[.sub]) and offsets
+ * (12.5s, 400ms, 90f, 360000t, ...).
+ * @param {string} expression - Value of a begin, end or dur attribute
+ * @param {object} params - Result from readTtmlTimingParameters()
+ * @returns {number} Milliseconds (0 when the expression is malformed)
+ */
+function ttmlTimeToMillis(expression, params) {
+  const value = expression.trim();
+
+  const clock = /^(\d+):(\d{2}):(\d{2})(?:(\.\d+)|:(\d+)(?:\.(\d+))?)?$/.exec(
+    value
+  );
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+    let totalSeconds =
+      parseInt(hours, 10) * 3600 +
+      parseInt(minutes, 10) * 60 +
+      parseInt(seconds, 10);
+    if (fraction) totalSeconds += parseFloat(fraction);
+    if (frames) {
+      const subFrameCount = subFrames ? parseInt(subFrames, 10) : 0;
+      totalSeconds +=
+        (parseInt(frames, 10) + subFrameCount / params.subFrameRate) /
+        params.frameRate;
+    }
+    return Math.round(totalSeconds * 1000);
+  }
+
+  const offset = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(value);
+  if (offset) {
+    const unitMillis = {
+      h: 3600000,
+      m: 60000,
+      s: 1000,
+      ms: 1,
+      f: 1000 / params.frameRate,
+      t: 1000 / params.tickRate,
+    }[offset[2]];
+    return Math.round(parseFloat(offset[1]) * unitMillis);
+  }
+
+  return 0;
+}
+
+/**
+ * Convert milliseconds to a TTML time expression written the same way as an
+ * example from the original file (frames, ticks, offsets or clock time).
+ * @param {number} millis - Time to write
+ * @param {string|null} example - Original expression, if any
+ * @param {object} params - Result from readTtmlTimingParameters()
+ * @returns {string} Time expression
+ */
+function millisToTtmlTime(millis, example, params) {
+  const style = (example || "").trim();
+
+  if (/^\d+:\d{2}:\d{2}:\d+/.test(style)) {
+    let wholeSeconds = Math.floor(millis / 1000);
+    let frames = Math.round(((millis % 1000) * params.frameRate) / 1000);
+    if (frames >= Math.ceil(params.frameRate)) {
+      wholeSeconds++;
+      frames = 0;
+    }
+    const clock = millisToTimeVtt(wholeSeconds * 1000).slice(0, 8);
+    return `${clock}:${String(frames).padStart(2, "0")}`;
+  }
+  if (/t$/.test(style)) {
+    return `${Math.round((millis * params.tickRate) / 1000)}t`;
+  }
+  if (/ms$/.test(style)) return `${millis}ms`;
+  if (/f$/.test(style)) {
+    return `${Math.round((millis * params.frameRate) / 1000)}f`;
+  }
+  if (/[hms]$/.test(style)) return `${Number((millis / 1000).toFixed(3))}s`;
+  return millisToTimeVtt(millis);
+}
+
+/**
+ * Read an attribute from the attribute list of an XML start tag.
+ * @param {string} attributes - Attribute list (or the whole start tag)
+ * @param {string} name - Qualified attribute name, e.g. "begin" or "xml:id"
+ * @returns {string|null} Attribute value, or null when it is missing
+ */
+function readXmlAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*("|')(.*?)\\1`).exec(
+    attributes
+  );
+  return match ? match[2] : null;
+}
+
+/**
+ * Set an attribute in the attribute list of an XML start tag, replacing its
+ * value in place or appending it when it is missing.
+ * @param {string} attributes - Attribute list
+ * @param {string} name - Qualified attribute name
+ * @param {string} value - New value (already escaped)
+ * @returns {string} Updated attribute list
+ */
+function setXmlAttribute(attributes, name, value) {
+  const pattern = new RegExp(`((?:^|\\s)${name}\\s*=\\s*)("|')(.*?)\\2`);
+  if (pattern.test(attributes)) {
+    return attributes.replace(pattern, (match, prefix, quote) => {
+      return `${prefix}${quote}${value}${quote}`;
+    });
+  }
+  return `${attributes} ${name}="${value}"`;
+}
+
+/**
+ * Read the timing of an element from its begin, end and dur attributes.
+ * Begin and end count from the begin of the parent element, dur from the
+ * element's own begin.
+ * @param {string} attributes - Attribute list (or the whole start tag)
+ * @param {object} params - Result from readTtmlTimingParameters()
+ * @returns {object|null} { startMillis, endMillis } relative to the parent,
+ *   or null when the element has none of the three attributes
+ */
+function readTtmlTiming(attributes, params) {
+  const begin = readXmlAttribute(attributes, "begin");
+  const end = readXmlAttribute(attributes, "end");
+  const duration = readXmlAttribute(attributes, "dur");
+  if (begin === null && end === null && duration === null) return null;
+
+  const startMillis = begin ? ttmlTimeToMillis(begin, params) : 0;
+  let endMillis = startMillis;
+  if (end) {
+    endMillis = ttmlTimeToMillis(end, params);
+  } else if (duration) {
+    endMillis = startMillis + ttmlTimeToMillis(duration, params);
+  }
+  return { startMillis, endMillis };
+}
+
+/**
+ * Time spanned by the timed <span> elements among a paragraph's inline
+ * tags, for paragraphs that leave their timing to their spans. Span times
+ * are taken as relative to the paragraph.
+ * @param {object[]} tags - Inline tags of the paragraph
+ * @param {object} params - Result from readTtmlTimingParameters()
+ * @returns {object|null} { startMillis, endMillis } relative to the
+ *   paragraph, or null when no span is timed
+ */
+function readTtmlSpanTiming(tags, params) {
+  let timing = null;
+  for (const { tag } of tags || []) {
+    if (!/^<(?:[\w-]+:)?span(?=[\s>/])/.test(tag)) continue;
+    const span = readTtmlTiming(tag, params);
+    if (!span) continue;
+    timing = timing
+      ? {
+          startMillis: Math.min(timing.startMillis, span.startMillis),
+          endMillis: Math.max(timing.endMillis, span.endMillis),
+        }
+      : span;
+  }
+  return timing;
+}
+
+/**
+ * Move and stretch the timed <span> elements among a paragraph's inline tags
+ * so that the time they spanned maps onto a new one. Times that do not change
+ * keep their original notation.
+ * @param {object[]} tags - Inline tags of the paragraph
+ * @param {object} from - { startMillis, endMillis } the spans cover now
+ * @param {object} to - { startMillis, endMillis } they should cover
+ * @param {object} params - Result from readTtmlTimingParameters()
+ * @returns {object[]} Inline tags with updated span timing
+ */
+function retimeTtmlSpans(tags, from, to, params) {
+  if (from.startMillis === to.startMillis && from.endMillis === to.endMillis) {
+    return tags;
+  }
+  const fromDuration = from.endMillis - from.startMillis;
+  const scale =
+    fromDuration > 0 ? (to.endMillis - to.startMillis) / fromDuration : 1;
+  const retime = (name, millis) =>
+    name === "dur"
+      ? Math.round(millis * scale)
+      : Math.round(to.startMillis + (millis - from.startMillis) * scale);
+
+  return tags.map((inlineTag) => {
+    if (!/^<(?:[\w-]+:)?span(?=[\s>/])/.test(inlineTag.tag)) return inlineTag;
+    let tag = inlineTag.tag;
+    for (const name of ["begin", "end", "dur"]) {
+      const value = readXmlAttribute(tag, name);
+      if (value === null) continue;
+      const millis = ttmlTimeToMillis(value, params);
+      const retimed = Math.max(0, retime(name, millis));
+      if (retimed !== millis) {
+        tag = setXmlAttribute(
+          tag,
+          name,
+          millisToTtmlTime(retimed, value, params)
+        );
+      }
+    }
+    return { ...inlineTag, tag };
+  });
+}
+
+/**
+ * Decode the character and entity references of XML text.
+ * @param {string} text - Text content from the document
+ * @returns {string} Plain text
+ */
+function decodeXmlText(text) {
+  const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+  return text.replace(
+    /&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi,
+    (_, ref) => {
+      if (ref[0] !== "#") return named[ref.toLowerCase()];
+      const hex = ref[1] === "x" || ref[1] === "X";
+      return String.fromCodePoint(
+        parseInt(ref.slice(hex ? 2 : 1), hex ? 16 : 10)
+      );
+    }
+  );
+}
+
+/**
+ * Escape plain text for use as XML text content.
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXmlText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Whitespace at the start of the line a position in a string is on, when
+ * nothing else precedes it on that line.
+ * @param {string} text - Text to look in
+ * @param {number} position - Offset of the element
+ * @returns {string} Indentation ("" when the element does not start a line)
+ */
+function indentationAt(text, position) {
+  const lineStart = text.lastIndexOf("\n", position - 1) + 1;
+  const before = text.slice(lineStart, position);
+  return /^[ \t]*$/.test(before) ? before : "";
+}
+
+/**
+ * Parse TTML, DFXP or EBU-TT-D data. Everything up to the <body> start tag
+ * (head, styling, layout and metadata) is kept as the header and everything
+ * from </body> on as the footer. Each <p> becomes a cue that remembers its
+ * attributes (style, region, xml:id, ...), the <div> elements around it and
+ * the way it wrote line breaks; <span> elements become inline tags.
+ * Times are taken from the paragraph's begin and end (or dur) attributes, or
+ * from those of its spans when it has none, and count from the begin of the
+ * enclosing <div> and <body> elements.
+ * @param {string} data - TTML document
+ * @returns {object} { header, footer, subtitles, untimedCues } where
+ *   untimedCues holds the positions of the cues that had no timing at all
+ *   (they start and end at the begin of their parent element)
+ */
+function parseTtml(data) {
+  const bodyOpen = /<(?:[\w-]+:)?body(?=[\s>/])[^>]*>/.exec(data);
+  const bodyClose = /<\/(?:[\w-]+:)?body\s*>/.exec(data);
+  if (!bodyOpen || !bodyClose || bodyOpen[0].endsWith("/>")) {
+    return { header: data, footer: "", subtitles: [], untimedCues: [] };
+  }
+
+  const bodyStart = bodyOpen.index + bodyOpen[0].length;
+  const params = readTtmlTimingParameters(data);
+  const bodyTiming = readTtmlTiming(bodyOpen[0], params);
+  const bodyOffset = bodyTiming ? bodyTiming.startMillis : 0;
+  const subtitles = [];
+  const untimedCues = [];
+  const parents = []; // <div> elements enclosing the current position
+  let divCount = 0;
+
+  const elementPattern = /<(\/?)((?:[\w-]+:)?(div|p))(?=[\s>/])([^>]*?)(\/?)>/g;
+  elementPattern.lastIndex = bodyStart;
+  let match;
+
+  while (
+    (match = elementPattern.exec(data)) !== null &&
+    match.index < bodyClose.index
+  ) {
+    const [startTag, closing, name, localName, attributes, selfClosing] = match;
+    const offset = parents.length
+      ? parents[parents.length - 1].offset
+      : bodyOffset;
+
+    if (localName === "div") {
+      if (closing) {
+        parents.pop();
+      } else if (!selfClosing) {
+        const indent = indentationAt(data, match.index);
+        const timing = readTtmlTiming(attributes, params);
+        parents.push({
+          id: divCount++,
+          tag: startTag,
+          indent,
+          offset: offset + (timing ? timing.startMillis : 0),
+        });
+      }
+      continue;
+    }
+    if (closing || selfClosing) continue;
+
+    // Paragraph content runs up to the matching end tag (paragraphs do not nest)
+    const endTag = new RegExp(`</${name}\\s*>`, "g");
+    endTag.lastIndex = elementPattern.lastIndex;
+    const end = endTag.exec(data);
+    if (!end) break;
+    const content = data.slice(elementPattern.lastIndex, end.index);
+    elementPattern.lastIndex = end.index + end[0].length;
+
+    const breakPattern =
+      /<(?:[\w-]+:)?br\b[^>]*?(?:\/>|>\s*<\/(?:[\w-]+:)?br\s*>)/;
+    const lineBreak = breakPattern.exec(content);
+    const { lines, tags } = extractInlineTags(
+      content.split(breakPattern),
+      /(<[^>]+>)/,
+      decodeXmlText
+    );
+
+    // A paragraph without timing of its own may leave it to its spans
+    let timing =
+      readTtmlTiming(attributes, params) || readTtmlSpanTiming(tags, params);
+    if (!timing) {
+      untimedCues.push(subtitles.length);
+      timing = { startMillis: 0, endMillis: 0 };
+    }
+    const startMillis = offset + timing.startMillis;
+    const endMillis = offset + timing.endMillis;
+
+    subtitles.push({
+      index: subtitles.length + 1,
+      startTime: millisToTimeSrt(startMillis),
+      endTime: millisToTimeSrt(endMillis),
+      startMillis,
+      endMillis,
+      text: lines.join(" "),
+      originalTextLines: lines,
+      tags,
+      ttml: {
+        element: name,
+        attributes,
+        parents: parents.slice(),
+        offset,
+        indent: indentationAt(data, match.index),
+        lineBreak: lineBreak ? lineBreak[0] : `<${name.replace(/p$/, "br")}/>`,
+      },
+    });
+  }
+
+  // Keep the indentation of </body> with the footer
+  const closeIndent = indentationAt(data, bodyClose.index);
+  return {
+    header: data.slice(0, bodyStart),
+    footer: data.slice(bodyClose.index - closeIndent.length),
+    subtitles,
+    untimedCues,
+  };
+}
+
+// --- Subtitle Formatting Functions (SRT, SBV, VTT, ASS, TTML) ---
+
+// Default line-breaking rules for breakLines()
+const DEFAULT_LINE_BREAK_OPTIONS = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  preferPunctuation: true,
+  keepFunctionWords: true,
+  bottomHeavy: false,
+};
+
+// Articles, prepositions and conjunctions that should not end a line when
+// another line follows (English, Portuguese, Spanish, French, German)
+const FUNCTION_WORDS = new Set(
+  (
+    "a an the of to in on at by for from with into onto upon and or but nor " +
+    "o os as um uma uns umas de do da dos das em no na nos nas ao aos por " +
+    "pelo pela com para e ou mas " +
+    "el la los las un una unos unas del al en con sin para por y o pero " +
+    "le les une des du au aux dans sur sous avec pour par et ou mais " +
+    "der die das den dem des ein eine einen einem einer im am zum zur mit " +
+    "von zu auf aus bei nach und oder aber"
+  ).split(" ")
+);
+
+/**
+ * Score one way of splitting words into lines; lower is better.
+ * Overlong lines cost the most, then breaks after function words, then
+ * uneven lengths. Breaks after punctuation earn a bonus.
+ * @param {string[]} words - Words of the cue
+ * @param {number[]} breaks - Word positions where each new line starts
+ * @param {object} options - Line-breaking options
+ * @returns {object} { cost, fits }
+ */
+function scoreLineLayout(words, breaks, options) {
+  const bounds = [0, ...breaks, words.length];
+  const lengths = [];
+  for (let line = 0; line < bounds.length - 1; line++) {
+    lengths.push(words.slice(bounds[line], bounds[line + 1]).join(" ").length);
+  }
+
+  const average =
+    lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+  let cost = 0;
+  let fits = true;
+
+  lengths.forEach((length, line) => {
+    if (length > options.maxCharsPerLine) {
+      fits = false;
+      cost += 1000 + 100 * (length - options.maxCharsPerLine);
+    }
+    cost += (length - average) ** 2 / 10;
+
+    // Pyramid shape: each line at least as long as the one above it
+    if (options.bottomHeavy && line > 0 && lengths[line - 1] > length) {
+      cost += 5 * (lengths[line - 1] - length);
+    }
+  });
+
+  for (const position of breaks) {
+    const lastWord = words[position - 1];
+    if (options.preferPunctuation && SENTENCE_END_PATTERN.test(lastWord)) {
+      cost -= 40;
+    } else if (options.preferPunctuation && CLAUSE_END_PATTERN.test(lastWord)) {
+      cost -= 25;
+    } else if (
+      options.keepFunctionWords &&
+      FUNCTION_WORDS.has(lastWord.toLowerCase())
+    ) {
+      cost += 60;
+    }
+  }
+
+  return { cost, fits };
+}
+
+/**
+ * Find the best split of words into exactly lineCount lines.
+ * @param {string[]} words - Words of the cue
+ * @param {number} lineCount - Number of lines wanted
+ * @param {object} options - Line-breaking options
+ * @returns {object} { lines, fits }
+ */
+function findBestLineLayout(words, lineCount, options) {
+  let best = null;
+
+  // Try every combination of break positions (cues are short)
+  const tryBreaks = (breaks, nextStart) => {
+    if (breaks.length === lineCount - 1) {
+      const score = scoreLineLayout(words, breaks, options);
+      if (!best || score.cost < best.cost) best = { ...score, breaks };
+      return;
+    }
+    const remaining = lineCount - 1 - breaks.length;
+    for (
+      let position = nextStart;
+      position <= words.length - remaining;
+      position++
+    ) {
+      tryBreaks([...breaks, position], position + 1);
+    }
+  };
+  tryBreaks([], 1);
+
+  const bounds = [0, ...best.breaks, words.length];
+  const lines = [];
+  for (let line = 0; line < bounds.length - 1; line++) {
+    lines.push(words.slice(bounds[line], bounds[line + 1]).join(" "));
+  }
+  return { lines, fits: best.fits };
+}
+
+/**
+ * Break a cue's text into lines using the fewest lines that respect the
+ * maximum line length (up to maxLines). Among the possible breaks it prefers
+ * ones after punctuation, never leaves an article or preposition at the end
+ * of a line, keeps lines balanced and, optionally, bottom-heavy.
+ * A single word that is too long is split in the middle. Dialogue turns
+ * (see splitDialogueTurns()) always start a new line.
+ * @param {string} text - The text to split
+ * @param {object} [options] - { maxCharsPerLine, maxLines, preferPunctuation,
+ *   keepFunctionWords, bottomHeavy }
+ * @returns {string[]} An array of lines
+ */
+function breakLines(text, options = {}) {
+  // One speaker per line: each dialogue turn is broken on its own
+  const turns = splitDialogueTurns(text || "");
+  if (turns.length > 1) {
+    return turns.flatMap((turn) => breakLines(turn, options));
+  }
+
+  const settings = { ...DEFAULT_LINE_BREAK_OPTIONS, ...options };
+  if (!text || text.length <= settings.maxCharsPerLine) return [text];
+  if (settings.maxLines < 2) return [text];
+
+  const words = text.split(" ").filter(Boolean);
+
+  if (words.length === 1) {
+    // No spaces at all — split in the middle
+    const middle = Math.floor(text.length / 2);
+    return [text.slice(0, middle), text.slice(middle)];
+  }
+
+  const mostLines = Math.min(settings.maxLines, words.length);
+  let layout = null;
+  for (let lineCount = 2; lineCount <= mostLines; lineCount++) {
+    layout = findBestLineLayout(words, lineCount, settings);
+    if (layout.fits) break;
+  }
+
+  return layout.lines;
+}
+
+/**
+ * Lines to write for a cue: the layout it carries (e.g. set by hand in the
+ * cue editor) or, when it has none, its text broken automatically.
+ * @param {object} sub - Subtitle object
+ * @returns {string[]} Text lines
+ */
+function getCueLines(sub) {
+  return sub.lines && sub.lines.length > 0 ? sub.lines : breakLines(sub.text);
+}
+
+/**
+ * Format subtitle objects as an SRT file string.
+ */
+function formatSrt({ subtitles }) {
+  return subtitles
+    .map((sub) => {
+      const lines = applyInlineTags(getCueLines(sub), sub.tags);
+      return `${sub.index}\n${millisToTimeSrt(
+        sub.startMillis
+      )} --> ${millisToTimeSrt(sub.endMillis)}\n${lines.join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Format subtitle objects as an SBV file string.
+ */
+function formatSbv({ subtitles }) {
+  return subtitles
+    .map((sub) => {
+      const startTime = millisToTimeSrt(sub.startMillis).replace(",", ".");
+      const endTime = millisToTimeSrt(sub.endMillis).replace(",", ".");
+      const lines = applyInlineTags(getCueLines(sub), sub.tags);
+      return `${startTime},${endTime}\n${lines.join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Format subtitle objects as a VTT file string.
+ * Includes optional original header or defaults to "WEBVTT". Cues keep their
+ * identifiers (made unique when a cue has been split), cue settings and
+ * inline tags, and NOTE, STYLE and REGION blocks go back before the cue they
+ * preceded in the original file.
+ */
+function formatVtt({ header, footer, blocks = [], subtitles }) {
+  const output = [header && header.trim() !== "" ? header : "WEBVTT"];
+  const usedIds = new Set();
+  let nextBlock = 0;
+
+  for (const sub of subtitles) {
+    const vtt = sub.vtt || { id: "", settings: "" };
+
+    // Cues that did not come from this file take no blocks with them
+    const source = vtt.source === undefined ? -1 : vtt.source;
+    while (nextBlock < blocks.length && blocks[nextBlock].before <= source) {
+      output.push(blocks[nextBlock++].text);
+    }
+
+    const cueLines = [];
+    if (vtt.id) {
+      let uniqueId = vtt.id;
+      for (let copy = 2; usedIds.has(uniqueId); copy++) {
+        uniqueId = `${vtt.id}-${copy}`;
+      }
+      usedIds.add(uniqueId);
+      cueLines.push(uniqueId);
+    }
+
+    const start = millisToTimeVtt(sub.startMillis);
+    const end = millisToTimeVtt(sub.endMillis);
+    cueLines.push(
+      `${start} --> ${end}${vtt.settings ? ` ${vtt.settings}` : ""}`
+    );
+
+    const lines = applyInlineTags(
+      getCueLines(sub).map(escapeXmlText),
+      sub.tags
+    );
+    cueLines.push(...lines.filter((line) => line !== ""));
+    output.push(cueLines.join("\n"));
+  }
+
+  for (const block of blocks.slice(nextBlock)) output.push(block.text);
+  if (footer) output.push(footer);
+  return output.join("\n\n");
+}
+
+// Header used when writing ASS without an original script to copy it from
+const DEFAULT_ASS_HEADER = `[Script Info]
+ScriptType: v4.00+
+WrapStyle: 0
+ScaledBorderAndShadow: yes
+PlayResX: 1920
+PlayResY: 1080
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,72,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,3,0,2,60,60,50,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text`;
+
+// Dialogue fields for cues that did not come from an ASS file
+const DEFAULT_ASS_EVENT = {
+  fields: ["0", "", "", "Default", "", "0", "0", "0", "", ""],
+  startField: 1,
+  endField: 2,
+  textField: 9,
+};
+
+/**
+ * Format subtitle objects as an ASS/SSA file string.
+ * Each Dialogue line keeps the fields it was parsed with; only the times and
+ * the text (with its override tags, lines joined by "\N") are rewritten.
+ * Other event lines go back before the cue they preceded in the original
+ * file.
+ */
+function formatAss({ header, footer, blocks = [], subtitles }) {
+  const assHeader =
+    header && header.trim() !== "" ? header.trimEnd() : DEFAULT_ASS_HEADER;
+  const events = [];
+  let nextBlock = 0;
+
+  for (const sub of subtitles) {
+    const { fields, startField, endField, textField, source } =
+      sub.ass || DEFAULT_ASS_EVENT;
+
+    // Cues that did not come from this file take no blocks with them
+    const position = source === undefined ? -1 : source;
+    while (nextBlock < blocks.length && blocks[nextBlock].before <= position) {
+      events.push(blocks[nextBlock++].text);
+    }
+
+    const values = [...fields];
+    values[startField] = millisToTimeAss(sub.startMillis);
+    values[endField] = millisToTimeAss(sub.endMillis);
+    values[textField] = formatAssText(getCueLines(sub), sub.tags);
+    events.push(`Dialogue: ${values.join(",")}`);
+  }
+
+  for (const block of blocks.slice(nextBlock)) events.push(block.text);
+  return [assHeader, ...events, ...(footer ? [footer] : [])].join("\n");
+}
+
+// Document written around the cues when there is no original TTML to copy
+const DEFAULT_TTML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="en">
+  <body>`;
+const DEFAULT_TTML_FOOTER = `  </body>
+</tt>`;
+
+// Paragraph layout for cues that did not come from a TTML file
+const DEFAULT_TTML_CUE = {
+  element: "p",
+  attributes: "",
+  parents: [{ id: -1, tag: "<div>", indent: "    " }],
+  indent: "      ",
+  lineBreak: "<br/>",
+};
+
+/**
+ * Format subtitle objects as a TTML/DFXP/EBU-TT-D document.
+ * Each cue is written back as a <p> with its original attributes, inside the
+ * <div> elements it came from. Times keep the notation of the original file
+ * (frames, ticks, offsets or clock time) and count from the begin of those
+ * elements; paragraphs timed by their spans get their spans retimed instead.
+ * xml:id values are made unique when a cue has been split.
+ */
+function formatTtml({ header, footer, subtitles }) {
+  const hasHeader = header && header.trim() !== "";
+  const params = readTtmlTimingParameters(hasHeader ? header : "");
+  const output = [hasHeader ? header : DEFAULT_TTML_HEADER];
+  const usedIds = new Set();
+  let openParents = [];
+
+  const closeTag = (parent) =>
+    `${parent.indent}</${/^<([\w:-]+)/.exec(parent.tag)[1]}>`;
+
+  for (const sub of subtitles) {
+    const ttml = sub.ttml || DEFAULT_TTML_CUE;
+
+    // Close and open <div> elements until the cue is back in its own ones
+    let shared = 0;
+    while (
+      shared < openParents.length &&
+      shared < ttml.parents.length &&
+      openParents[shared].id === ttml.parents[shared].id
+    ) {
+      shared++;
+    }
+    for (let depth = openParents.length - 1; depth >= shared; depth--) {
+      output.push(closeTag(openParents[depth]));
+    }
+    for (let depth = shared; depth < ttml.parents.length; depth++) {
+      output.push(`${ttml.parents[depth].indent}${ttml.parents[depth].tag}`);
+    }
+    openParents = ttml.parents;
+
+    // Rewrite the timing in place, in the notation the file already uses,
+    // relative to the enclosing elements. A paragraph timed by its spans
+    // keeps it that way, one without timing stays so until it gets some.
+    let attributes = ttml.attributes;
+    let tags = sub.tags;
+    const startMillis = Math.max(0, sub.startMillis - (ttml.offset || 0));
+    const endMillis = Math.max(startMillis, sub.endMillis - (ttml.offset || 0));
+    const ownTiming = readTtmlTiming(attributes, params);
+    const spanTiming = !ownTiming && readTtmlSpanTiming(tags, params);
+    const stillUntimed =
+      !ownTiming && !spanTiming && sub.ttml && endMillis === 0;
+    if (spanTiming) {
+      tags = retimeTtmlSpans(
+        tags,
+        spanTiming,
+        { startMillis, endMillis },
+        params
+      );
+    } else if (!stillUntimed) {
+      const begin = readXmlAttribute(attributes, "begin");
+      attributes = setXmlAttribute(
+        attributes,
+        "begin",
+        millisToTtmlTime(startMillis, begin, params)
+      );
+      const duration = readXmlAttribute(attributes, "dur");
+      if (duration !== null && readXmlAttribute(attributes, "end") === null) {
+        attributes = setXmlAttribute(
+          attributes,
+          "dur",
+          millisToTtmlTime(endMillis - startMillis, duration, params)
+        );
+      } else {
+        attributes = setXmlAttribute(
+          attributes,
+          "end",
+          millisToTtmlTime(
+            endMillis,
+            readXmlAttribute(attributes, "end") || begin,
+            params
+          )
+        );
+      }
+    }
+
+    const id = readXmlAttribute(attributes, "xml:id");
+    if (id !== null) {
+      let uniqueId = id;
+      for (let copy = 2; usedIds.has(uniqueId); copy++) {
+        uniqueId = `${id}-${copy}`;
+      }
+      usedIds.add(uniqueId);
+      attributes = setXmlAttribute(attributes, "xml:id", uniqueId);
+    }
+
+    const text = applyInlineTags(
+      getCueLines(sub).map(escapeXmlText),
+      tags
+    ).join(ttml.lineBreak);
+    output.push(
+      `${ttml.indent}<${ttml.element}${attributes}>${text}</${ttml.element}>`
+    );
+  }
+
+  for (let depth = openParents.length - 1; depth >= 0; depth--) {
+    output.push(closeTag(openParents[depth]));
+  }
+  output.push(hasHeader ? footer || "" : DEFAULT_TTML_FOOTER);
+  return output.join("\n");
+}
+
+// --- Format Lookup ---
+
+/**
+ * Family a subtitle format belongs to. Formats of the same family share
+ * header, cue data and markup, so they can be written from each other as is.
+ * @param {string} format - File format (extension)
+ * @returns {string} "srt", "sbv", "vtt", "ass" or "ttml"
+ */
+function getSubtitleFormatFamily(format) {
+  switch (format) {
+    case "ass":
+    case "ssa":
+      return "ass";
+    case "ttml":
+    case "dfxp":
+    case "xml":
+      return "ttml";
+    case "sbv":
+    case "vtt":
+      return format;
+    case "srt":
+    default:
+      return "srt";
+  }
+}
+
+/**
+ * Write parsed (or edited) subtitles in a format, which may differ from the
+ * one they were read from. Within a family the original header, footer and
+ * blocks are kept. Across families the target format's defaults are used
+ * instead, cues are numbered from 1 and inline tags are translated.
+ * @param {object} parsed - { header, footer, blocks, subtitles }
+ * @param {string} sourceFormat - Format the subtitles were read from
+ * @param {string} targetFormat - Format to write
+ * @returns {string} File content
+ */
+function formatSubtitlesAs(parsed, sourceFormat, targetFormat) {
+  const formatter = getSubtitleFormatter(targetFormat);
+  const targetFamily = getSubtitleFormatFamily(targetFormat);
+  if (getSubtitleFormatFamily(sourceFormat) === targetFamily) {
+    return formatter(parsed);
+  }
+
+  const markupFamily = ["ass", "ttml"].includes(targetFamily)
+    ? targetFamily
+    : "html";
+  return formatter({
+    header: "",
+    footer: "",
+    blocks: [],
+    subtitles: parsed.subtitles.map((sub, position) => ({
+      ...sub,
+      index: position + 1,
+      tags: translateInlineTags(sub.tags, markupFamily),
+    })),
+  });
+}
+
+/**
+ * Return the parser for a subtitle format. Unknown formats fall back to SRT.
+ * @param {string} format - "srt", "sbv", "vtt", "ass", "ssa", "ttml", "dfxp"
+ *   or "xml"
+ * @returns {Function} Parser returning { header, subtitles } (and a footer
+ *   and blocks for formats with content after or between the cues)
+ */
+function getSubtitleParser(format) {
+  switch (format) {
+    case "ass":
+    case "ssa":
+      return parseAss;
+    case "ttml":
+    case "dfxp":
+    case "xml":
+      return parseTtml;
+    case "sbv":
+      return parseSbv;
+    case "vtt":
+      return parseVtt;
+    case "srt":
+    default:
+      return parseSrt;
+  }
+}
+
+/**
+ * Return the formatter for a subtitle format. Unknown formats fall back to SRT.
+ * @param {string} format - "srt", "sbv", "vtt", "ass", "ssa", "ttml", "dfxp"
+ *   or "xml"
+ * @returns {Function} Formatter taking { header, footer, blocks, subtitles }
+ */
+function getSubtitleFormatter(format) {
+  switch (format) {
+    case "ass":
+    case "ssa":
+      return formatAss;
+    case "ttml":
+    case "dfxp":
+    case "xml":
+      return formatTtml;
+    case "sbv":
+      return formatSbv;
+    case "vtt":
+      return formatVtt;
+    case "srt":
+    default:
+      return formatSrt;
+  }
+}
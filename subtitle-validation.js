@@ -0,0 +1,382 @@
+// --- Lenient Parsing (SRT) ---
+
+// Timing line of an SRT cue, accepting missing spaces around the arrow and
+// anything after the end time
+const LENIENT_SRT_TIMING = /^(\s*)(\S+?)(\s*-{1,2}>\s*)(\S+?)(\s.*)?$/;
+
+// One SRT timestamp, accepting one-digit fields and "." or ":" before the
+// milliseconds
+const LENIENT_SRT_TIME = /^(\d{1,2}):(\d{1,2}):(\d{1,2})([,.:])(\d{1,3})$/;
+
+/**
+ * Read one timestamp of a lenient timing line. Fewer than three digits after
+ * the separator are read as a fraction of a second, so "1.5" is 1500 ms.
+ * @param {string} time - Timestamp as written in the file
+ * @param {Set<string>} slips - Collects how the timestamp strays from SRT
+ * @returns {number|null} Milliseconds, or null when unreadable
+ */
+function readLenientTime(time, slips) {
+  const match = LENIENT_SRT_TIME.exec(time);
+  if (!match) return null;
+  const [, hours, minutes, seconds, separator, fraction] = match;
+
+  if (hours.length === 1) slips.add("one-digit hours");
+  if (minutes.length === 1 || seconds.length === 1) {
+    slips.add("one-digit minutes or seconds");
+  }
+  if (separator !== ",") {
+    slips.add(`"${separator}" instead of "," before the milliseconds`);
+  }
+  if (fraction.length !== 3) slips.add("milliseconds without three digits");
+
+  return (
+    parseInt(hours, 10) * 3600000 +
+    parseInt(minutes, 10) * 60000 +
+    parseInt(seconds, 10) * 1000 +
+    Math.round(parseFloat(`0.${fraction}`) * 1000)
+  );
+}
+
+/**
+ * Read an SRT timing line, noting how it strays from the format.
+ * @param {string} line - Timing line as written in the file
+ * @returns {object|null} { startMillis, endMillis, slips }, or null when the
+ *   line cannot be read
+ */
+function readLenientTimingLine(line) {
+  const match = LENIENT_SRT_TIMING.exec(line);
+  if (!match) return null;
+  const [, indent, start, arrow, end, rest = ""] = match;
+
+  const slips = new Set();
+  const startMillis = readLenientTime(start, slips);
+  const endMillis = readLenientTime(end, slips);
+  if (startMillis === null || endMillis === null) return null;
+
+  if (indent !== "") slips.add("spaces before the start time");
+  if (arrow !== " --> ") slips.add('unusual spacing around "-->"');
+  if (rest.trim() !== "") {
+    slips.add(`"${rest.trim()}" after the end time (ignored)`);
+  } else if (rest !== "") {
+    slips.add("trailing spaces after the end time");
+  }
+
+  return { startMillis, endMillis, slips: [...slips] };
+}
+
+/**
+ * Split the lines of a block wherever a new cue starts without a blank line
+ * before it: a timing line (after the first one) that follows a number line.
+ * @param {string[]} lines - Non-blank lines of the block
+ * @param {number} firstLine - Line number (1-based) of the first line
+ * @returns {object[]} { lines, firstLine } for each part
+ */
+function splitRunTogetherCues(lines, firstLine) {
+  const parts = [];
+  let start = 0;
+
+  lines.forEach((line, position) => {
+    if (position < 2 || !readLenientTimingLine(line)) return;
+    const cueStart = /^\s*\d+\s*$/.test(lines[position - 1])
+      ? position - 1
+      : position;
+    if (cueStart - start < 2) return;
+    parts.push({
+      lines: lines.slice(start, cueStart),
+      firstLine: firstLine + start,
+    });
+    start = cueStart;
+  });
+
+  parts.push({ lines: lines.slice(start), firstLine: firstLine + start });
+  return parts;
+}
+
+/**
+ * Parse SRT file content like parseSrt(), but recover what parseSrt() would
+ * skip: timing lines with slips, cues without an index, cues run together
+ * without a blank line and cue text interrupted by a blank line (joined to
+ * the cue it continues). Whatever was recovered or still had to be skipped is
+ * reported with its line number.
+ * @param {string} data - SRT file content
+ * @returns {object} { header, subtitles, issues, cueLines, numberedCues }
+ *   where issues lists { line, severity, message }, cueLines holds the line
+ *   number of each cue's timing line and numberedCues the positions of the
+ *   cues the parser had to number itself
+ */
+function parseSrtLenient(data) {
+  const lines = data.split(/\r?\n/);
+  const issues = [];
+  const report = (line, severity, message) =>
+    issues.push({ line, severity, message });
+
+  if (lines[0].startsWith("\uFEFF")) {
+    lines[0] = lines[0].slice(1);
+    report(1, "info", "Byte order mark at the start of the file (ignored).");
+  }
+
+  // Group the lines into blocks separated by blank lines
+  const rawBlocks = [];
+  let position = 0;
+  while (position < lines.length) {
+    if (lines[position].trim() === "") {
+      position++;
+      continue;
+    }
+    const start = position;
+    while (position < lines.length && lines[position].trim() !== "") {
+      position++;
+    }
+    const parts = splitRunTogetherCues(lines.slice(start, position), start + 1);
+    for (const part of parts.slice(1)) {
+      report(
+        part.firstLine,
+        "warning",
+        "Missing blank line before this cue; read as a cue of its own, where the usual parser merges it into the text of the cue above."
+      );
+    }
+    rawBlocks.push(...parts);
+  }
+
+  // Cues as read, before their text is turned into words and tags
+  const entries = [];
+  let lastEntry = null; // Cue a text-only block would continue
+  let expectedIndex = 1;
+
+  for (const block of rawBlocks) {
+    const timingAt = block.lines.findIndex(
+      (line) => line.includes("-->") || readLenientTimingLine(line)
+    );
+
+    if (timingAt === -1) {
+      if (lastEntry) {
+        lastEntry.textLines.push(...block.lines);
+        report(
+          block.firstLine,
+          "warning",
+          `Blank line inside the text of cue ${lastEntry.index}; the text after it was kept in that cue.`
+        );
+      } else {
+        report(
+          block.firstLine,
+          "error",
+          "Block without a timing line (skipped)."
+        );
+      }
+      continue;
+    }
+
+    const timingLineNumber = block.firstLine + timingAt;
+    const timing = readLenientTimingLine(block.lines[timingAt]);
+    if (!timing || timingAt > 1) {
+      report(
+        timingLineNumber,
+        "error",
+        `Unreadable timing line "${block.lines[timingAt].trim()}" (cue skipped).`
+      );
+      lastEntry = null;
+      continue;
+    }
+
+    let index = expectedIndex;
+    let numbered = true; // Whether the number was made up here
+    if (timingAt === 0) {
+      report(
+        block.firstLine,
+        "warning",
+        `Missing cue number before the timing line; numbered ${index}.`
+      );
+    } else if (/^\d+$/.test(block.lines[0].trim())) {
+      index = parseInt(block.lines[0].trim(), 10);
+      numbered = false;
+    } else {
+      report(
+        block.firstLine,
+        "warning",
+        `Cue number "${block.lines[0].trim()}" is not a number; numbered ${index}.`
+      );
+    }
+
+    if (timing.slips.length > 0) {
+      report(
+        timingLineNumber,
+        "warning",
+        `Timing line with ${timing.slips.join(", ")}.`
+      );
+    }
+
+    lastEntry = {
+      index,
+      numbered,
+      line: timingLineNumber,
+      startMillis: timing.startMillis,
+      endMillis: timing.endMillis,
+      textLines: block.lines.slice(timingAt + 1),
+    };
+    entries.push(lastEntry);
+    expectedIndex = index + 1;
+  }
+
+  const subtitles = entries.map((entry) => {
+    if (entry.textLines.length === 0) {
+      report(entry.line, "warning", `Cue ${entry.index} has no text.`);
+    }
+    const { lines: textLines, tags } = extractInlineTags(
+      entry.textLines,
+      SUBTITLE_TAG_PATTERN
+    );
+    return {
+      index: entry.index,
+      startTime: millisToTimeSrt(entry.startMillis),
+      endTime: millisToTimeSrt(entry.endMillis),
+      startMillis: entry.startMillis,
+      endMillis: entry.endMillis,
+      text: textLines.join(" "),
+      originalTextLines: textLines,
+      tags,
+    };
+  });
+
+  return {
+    header: "",
+    subtitles,
+    issues,
+    cueLines: entries.map((entry) => entry.line),
+    numberedCues: entries.flatMap((entry, position) =>
+      entry.numbered ? [position] : []
+    ),
+  };
+}
+
+/**
+ * Return the lenient parser for a subtitle format: parseSrtLenient() for the
+ * SRT family, and the usual parser for the others, whose parsers are already
+ * forgiving.
+ * @param {string} format - File format (extension)
+ * @returns {Function} Parser returning { header, subtitles, ... }
+ */
+function getLenientSubtitleParser(format) {
+  return getSubtitleFormatFamily(format) === "srt"
+    ? parseSrtLenient
+    : getSubtitleParser(format);
+}
+
+// --- Subtitle File Check ---
+
+/**
+ * Find timing problems between parsed cues: zero or negative durations, cues
+ * out of order, overlaps and cue numbers used more than once. Numbers the
+ * parser made up for cues without one are not the file's, so they are left
+ * out of the last check.
+ * @param {object[]} subtitles - Parsed subtitles
+ * @param {number[]} [cueLines] - Line number of each cue, when known
+ * @param {number[]} [numberedCues] - Positions of the cues the parser
+ *   numbered itself
+ * @returns {object[]} { line, position, severity, message } per problem
+ */
+function findCueTimingIssues(subtitles, cueLines = [], numberedCues = []) {
+  const madeUpNumbers = new Set(numberedCues);
+  const issues = [];
+  const firstPositionOfIndex = new Map();
+
+  subtitles.forEach((sub, position) => {
+    const report = (severity, message) =>
+      issues.push({ line: cueLines[position], position, severity, message });
+    const previous = subtitles[position - 1];
+
+    if (sub.endMillis <= sub.startMillis) {
+      report(
+        "error",
+        `Cue ${sub.index} ends ${
+          sub.endMillis === sub.startMillis ? "when" : "before"
+        } it starts (${millisToTimeSrt(sub.startMillis)} --> ${millisToTimeSrt(
+          sub.endMillis
+        )}).`
+      );
+    }
+
+    if (previous && sub.startMillis < previous.startMillis) {
+      report(
+        "warning",
+        `Cue ${sub.index} starts before the cue above it (out of order).`
+      );
+    } else if (previous && sub.startMillis < previous.endMillis) {
+      report(
+        "warning",
+        `Cue ${sub.index} overlaps the cue above it by ${
+          previous.endMillis - sub.startMillis
+        } ms.`
+      );
+    }
+
+    if (madeUpNumbers.has(position)) return;
+    if (firstPositionOfIndex.has(sub.index)) {
+      const first = firstPositionOfIndex.get(sub.index);
+      const where =
+        cueLines[first] === undefined
+          ? ""
+          : ` (first on line ${cueLines[first]})`;
+      report(
+        "warning",
+        `Cue number ${sub.index} is used more than once${where}.`
+      );
+    } else {
+      firstPositionOfIndex.set(sub.index, position);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Check an uploaded subtitle file before syncing: what the lenient SRT
+ * parser had to recover or skip, and the timing problems of the cues.
+ * @param {string} content - File content
+ * @param {string} format - File format (extension)
+ * @param {object} [options] - { lenient } to count the cues the lenient
+ *   parser reads rather than those the usual parser reads
+ * @returns {object} { issues, cueCount, skippedCount } where issues lists
+ *   { line, position, severity, message } (line or position may be missing)
+ *   and skippedCount is the number of cues the usual parser would miss
+ */
+function checkSubtitleFile(content, format, options = {}) {
+  const strict = getSubtitleParser(format)(content);
+
+  if (getSubtitleFormatFamily(format) !== "srt") {
+    // Cues without any timing only get that reported, not the problems their
+    // made-up times would cause
+    const untimed = new Set(strict.untimedCues || []);
+    const issues = [
+      ...[...untimed].map((position) => ({
+        position,
+        severity: "error",
+        message: `Cue ${strict.subtitles[position].index} has no timing.`,
+      })),
+      ...findCueTimingIssues(strict.subtitles).filter(
+        (issue) => !untimed.has(issue.position)
+      ),
+    ].sort((a, b) => a.position - b.position);
+    return { issues, cueCount: strict.subtitles.length, skippedCount: 0 };
+  }
+
+  const lenient = parseSrtLenient(content);
+  const issues = [
+    ...lenient.issues,
+    ...findCueTimingIssues(
+      lenient.subtitles,
+      lenient.cueLines,
+      lenient.numberedCues
+    ),
+  ].sort((a, b) => a.line - b.line);
+
+  return {
+    issues,
+    cueCount: options.lenient
+      ? lenient.subtitles.length
+      : strict.subtitles.length,
+    skippedCount: Math.max(
+      0,
+      lenient.subtitles.length - strict.subtitles.length
+    ),
+  };
+}
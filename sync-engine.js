@@ -0,0 +1,274 @@
+// --- Sync Job ---
+
+/**
+ * Clean up the revised text the same way for every sync, split it into
+ * words and apply the chosen typography and dialogue dash style.
+ * @param {string} revisedText - Revised text as pasted
+ * @param {object} [typography] - applyTypography() options
+ * @param {object|null} [dialogueStyle] - Result of resolveDialogueStyle()
+ * @returns {string[]} Revised words
+ */
+function prepareRevisedWords(revisedText, typography, dialogueStyle = null) {
+  let revisedClean = removeLineBreaks(revisedText);
+  revisedClean = normalizeSpaces(revisedClean);
+
+  const words = applyTypography(tokenizeWords(revisedClean), typography);
+  return styleDialogueDashes(words, dialogueStyle);
+}
+
+/**
+ * Run a complete sync: parse the original subtitle file, prepare the revised
+ * text, align both word sequences and map the result back to the original
+ * segments. Runs inside sync-worker.js, or on the main thread when workers
+ * are not available (e.g. when the page is opened straight from disk).
+ * @param {object} job - { subtitleContent, subtitleFormat, lenientParsing,
+ *   revisedText, alignmentMode, foldDiacritics, nearMatch, typography,
+ *   dialogue, preserveAnnotations, glossary, pins, previousAlignment,
+ *   previousRevisedText, boundaryRefinement, segmentation, retiming,
+ *   lineBreaking } where
+ *   - lenientParsing reads SRT files with parseSrtLenient(), recovering
+ *     malformed cues instead of skipping them
+ *   - alignmentMode is "global", "local" or "translation"
+ *   - foldDiacritics makes matching ignore accents
+ *   - nearMatch holds the { threshold, weight } for scoring similar words as
+ *     near matches (or null to require exact matches)
+ *   - typography holds the applyTypography() options for the revised text
+ *   - dialogue holds the resolveDialogueStyle() options for the dashes that
+ *     start the speakers' turns (or null to leave them as written)
+ *   - preserveAnnotations keeps the original cues' SDH annotations
+ *     ("[MUSIC]", "(laughs)", "♪ lyrics ♪") out of the alignment and puts
+ *     them back unchanged where they were
+ *   - glossary holds the translation mode's "original = translated" pairs
+ *   - pins holds the resolvePinnedWords() pins, used by the word modes
+ *   - previousAlignment holds the { alignment, corners } of an earlier sync
+ *     of the same subtitles with the same matching options, and
+ *     previousRevisedText the revised text it aligned; when the text was
+ *     edited since, only the cues around the edit are aligned again, and
+ *     the rest is reused where the pins allow
+ *   - boundaryRefinement, segmentation and retiming hold the
+ *     refineSegmentBoundaries(), resegmentCues() and retimeCues() options
+ *     (or null to skip them)
+ *   - lineBreaking holds the layoutCueLines() options
+ * @param {Function} onProgress - Called with (percent, message) as work advances
+ * @returns {object} { header, footer, blocks, subtitles, alignment,
+ *   alignmentCorners, revisedSegments, revisedCues, segmentSteps, cueStats,
+ *   matchScore, timingIssues, lineBreaking }
+ */
+function runSyncJob(job, onProgress) {
+  const { subtitleContent, subtitleFormat, revisedText, alignmentMode } = job;
+
+  // Step 1: Parse the original subtitle file
+  onProgress(0, "Reading the original subtitle...");
+
+  const parse = job.lenientParsing
+    ? getLenientSubtitleParser(subtitleFormat)
+    : getSubtitleParser(subtitleFormat);
+  const parsedResult = parse(subtitleContent);
+  const parsedSubsOriginal = parsedResult.subtitles;
+
+  if (!parsedSubsOriginal || parsedSubsOriginal.length === 0) {
+    throw new Error(`Invalid or empty ${subtitleFormat.toUpperCase()} file.`);
+  }
+
+  // Step 2: Prepare sequences for alignment. SDH annotations, when kept,
+  // stay out of it and go back in once the words are mapped to the cues.
+  const separated = job.preserveAnnotations
+    ? separateSdhAnnotations(parsedSubsOriginal)
+    : null;
+  const alignedSubs = separated
+    ? separated.speechSubtitles
+    : parsedSubsOriginal;
+  const seq1Global = alignedSubs.flatMap((sub) => tokenizeWords(sub.text));
+
+  const dialogueStyle = resolveDialogueStyle(job.dialogue, parsedSubsOriginal);
+  const seq2Global = prepareRevisedWords(
+    revisedText,
+    job.typography,
+    dialogueStyle
+  );
+
+  if (seq1Global.length === 0 || seq2Global.length === 0) {
+    throw new Error(
+      "One of the word sequences (original or revised) is empty."
+    );
+  }
+
+  // Step 3: Run the selected alignment algorithm. The result covers every
+  // word of both texts, not just the best-scoring stretch. Pinned text splits
+  // the word alignment into regions, and regions the previous alignment
+  // already covers are reused. The forward pass and the traceback each
+  // report progress row by row.
+  onProgress(5, "Finding the best way to match your words...");
+
+  const segmentBoundaries = computeSegmentBoundaries(alignedSubs);
+  let alignment;
+  let alignmentCorners = null; // Corners between the pinned regions
+  let cueConfidence = null; // Translation mode rates cues by their cuts
+
+  if (alignmentMode === "translation") {
+    ({ steps: alignment, cueConfidence } = alignTranslation(
+      seq1Global,
+      seq2Global,
+      {
+        subtitles: alignedSubs,
+        segmentBoundaries,
+        glossary: parseGlossary(job.glossary),
+        foldDiacritics: job.foldDiacritics,
+        onProgress: (fraction) => {
+          onProgress(
+            5 + fraction * 90,
+            "Spreading the translation over the cues..."
+          );
+        },
+      }
+    ));
+  } else {
+    const alignerOptions = {
+      mode: alignmentMode,
+      matchScore: MATCH_SCORE,
+      mismatchPenalty: MISMATCH_PENALTY,
+      gapPenalty: GAP_PENALTY,
+      foldDiacritics: job.foldDiacritics,
+      nearMatch: job.nearMatch,
+      nearMatchCache: new Map(),
+    };
+
+    let previousAlignment = job.previousAlignment;
+    if (
+      previousAlignment &&
+      job.previousRevisedText !== undefined &&
+      job.previousRevisedText !== revisedText
+    ) {
+      onProgress(5, "Re-aligning the edited part of the text...");
+      previousAlignment = updateAlignmentForEdit(
+        previousAlignment,
+        seq1Global,
+        prepareRevisedWords(
+          job.previousRevisedText,
+          job.typography,
+          dialogueStyle
+        ),
+        seq2Global,
+        segmentBoundaries,
+        alignerOptions
+      );
+    }
+
+    ({ alignment, corners: alignmentCorners } = alignWithAnchors(
+      seq1Global,
+      seq2Global,
+      {
+        ...alignerOptions,
+        anchors: resolvePinnedWords(
+          job.pins || [],
+          revisedText,
+          segmentBoundaries
+        ),
+        segmentBoundaries,
+        previousAlignment,
+        onProgress: (fraction) => {
+          onProgress(
+            5 + fraction * 90,
+            fraction < 0.5
+              ? "Finding the best way to match your words..."
+              : "Performing traceback..."
+          );
+        },
+      }
+    ));
+  }
+
+  onProgress(95, "Mapping alignment to segments...");
+
+  let segmentSteps = groupAlignmentBySegment(alignment, segmentBoundaries);
+
+  // Step 4: Rate each cue by the alignment steps that fall inside it, and
+  // the whole file by all steps together (translation mode rates the cuts
+  // between cues instead, since hardly any word matches)
+  const cueStats = segmentSteps.map((steps, index) => {
+    const counts = countAlignmentSteps(steps);
+    return {
+      counts,
+      confidence: cueConfidence
+        ? cueConfidence[index]
+        : computeConfidence(counts),
+    };
+  });
+  const matchScore = Math.round(
+    (cueConfidence
+      ? cueStats.reduce((sum, stats) => sum + stats.confidence, 0) /
+        cueStats.length
+      : computeConfidence(countAlignmentSteps(alignment))) * 100
+  );
+
+  // Step 5: Move cue boundaries that fall mid-sentence to a nearby break
+  if (job.boundaryRefinement) {
+    segmentSteps = refineSegmentBoundaries(
+      segmentSteps,
+      alignedSubs,
+      segmentBoundaries,
+      job.boundaryRefinement
+    );
+  }
+  if (separated) {
+    segmentSteps = restoreSdhAnnotations(segmentSteps, separated);
+  }
+  const revisedSegments = mapAlignmentToSegments(segmentSteps);
+
+  // Step 6: Build the revised cues and run the optional post-processing
+  let revisedCues = parsedSubsOriginal.map((sub, index) => ({
+    ...sub,
+    text: revisedSegments[index],
+    tags: mapCueTags(
+      sub.tags,
+      segmentSteps[index],
+      sub.text.split(" ").filter(Boolean).length
+    ),
+    sourceIndex: index,
+  }));
+  let timingIssues = [];
+
+  if (job.segmentation) {
+    onProgress(97, "Splitting and merging cues...");
+    revisedCues = resegmentCues(revisedCues, job.segmentation);
+  }
+
+  if (job.retiming) {
+    onProgress(98, "Adjusting timing for reading speed...");
+    ({ cues: revisedCues, issues: timingIssues } = retimeCues(
+      revisedCues,
+      job.retiming
+    ));
+  }
+
+  revisedCues = layoutCueLines(
+    revisedCues,
+    {
+      subtitles: parsedSubsOriginal,
+      revisedSegments,
+      segmentSteps,
+      segmentBoundaries: separated
+        ? computeSegmentBoundaries(parsedSubsOriginal)
+        : segmentBoundaries,
+    },
+    job.lineBreaking
+  );
+
+  onProgress(100, "Alignment finished.");
+
+  return {
+    header: parsedResult.header,
+    footer: parsedResult.footer || "",
+    blocks: parsedResult.blocks || [],
+    subtitles: parsedSubsOriginal,
+    alignment,
+    alignmentCorners,
+    revisedSegments,
+    revisedCues,
+    segmentSteps,
+    cueStats,
+    matchScore,
+    timingIssues,
+    lineBreaking: job.lineBreaking,
+  };
+}
@@ -0,0 +1,33 @@
+// --- Sync Worker ---
+// Runs parsing, alignment and segment mapping off the main thread so the page
+// stays responsive. Posts "progress" messages while working, then a single
+// "done" or "error" message. Cancelling is done by terminating the worker.
+
+importScripts(
+  "text-processing.js",
+  "subtitle-formats.js",
+  "subtitle-validation.js",
+  "alignment.js",
+  "translation-alignment.js",
+  "anchored-alignment.js",
+  "post-processing.js",
+  "sync-engine.js"
+);
+
+self.onmessage = (event) => {
+  let lastPercent = -1;
+
+  try {
+    const result = runSyncJob(event.data, (percent, message) => {
+      // Only post when the visible percentage changes
+      const roundedPercent = Math.floor(percent);
+      if (roundedPercent === lastPercent) return;
+      lastPercent = roundedPercent;
+      self.postMessage({ type: "progress", percent: roundedPercent, message });
+    });
+
+    self.postMessage({ type: "done", result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,320 @@
+// --- Encoding Detection ---
+
+// Byte order marks, checked longest first
+const BYTE_ORDER_MARKS = [
+  { encoding: "utf-8", bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: "utf-16le", bytes: [0xff, 0xfe] },
+  { encoding: "utf-16be", bytes: [0xfe, 0xff] },
+];
+
+// Single-byte code pages tried when a file is neither UTF-8 nor UTF-16, most
+// likely first (ties go to the earlier one)
+const LEGACY_ENCODINGS = ["windows-1252", "windows-1250", "windows-1251"];
+
+// Encodings offered for reading and writing, with their display names
+const TEXT_ENCODING_NAMES = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+  "windows-1252": "Windows-1252 (Western)",
+  "iso-8859-1": "ISO-8859-1 (Latin-1)",
+  "iso-8859-15": "ISO-8859-15 (Latin-9)",
+  "windows-1250": "Windows-1250 (Central European)",
+  "windows-1251": "Windows-1251 (Cyrillic)",
+};
+
+/**
+ * Find the byte order mark a file starts with.
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} Encoding the mark stands for, or null without one
+ */
+function findByteOrderMark(bytes) {
+  const mark = BYTE_ORDER_MARKS.find((candidate) =>
+    candidate.bytes.every((byte, position) => bytes[position] === byte)
+  );
+  return mark ? mark.encoding : null;
+}
+
+/**
+ * Guess whether text without a byte order mark is UTF-16 from where its
+ * zero bytes fall: ASCII characters in UTF-16 have a zero high byte.
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} "utf-16le", "utf-16be" or null
+ */
+function guessUtf16(bytes) {
+  const sampleLength = Math.min(bytes.length, 4096) & ~1;
+  if (sampleLength === 0) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let position = 0; position < sampleLength; position += 2) {
+    if (bytes[position] === 0) evenZeros++;
+    if (bytes[position + 1] === 0) oddZeros++;
+  }
+
+  const pairs = sampleLength / 2;
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return "utf-16le";
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return "utf-16be";
+  return null;
+}
+
+/**
+ * Rate how plausible text decoded with a single-byte code page is. Letters
+ * outside ASCII count for it; symbols and control characters where letters
+ * are expected, words mixing scripts and Latin text made mostly of accented
+ * letters count against it.
+ * @param {string} text - Decoded text
+ * @returns {number} Score (higher is more plausible)
+ */
+function scoreLegacyDecoding(text) {
+  let score = 0;
+
+  for (const word of text.match(/[^\s\d.,;:!?"'()[\]<>{}\-–—]+/g) || []) {
+    const foreign = word.match(/[^\x00-\x7f]/g);
+    if (!foreign) continue;
+
+    const letters = foreign.filter((char) => /\p{L}/u.test(char)).length;
+    score += letters - 2 * (foreign.length - letters);
+
+    const latin = /\p{Script=Latin}/u.test(word);
+    const otherScript = /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word);
+    if (latin && otherScript) score -= 2 * foreign.length;
+    if (
+      latin &&
+      !otherScript &&
+      foreign.length > 2 &&
+      foreign.length > word.length / 2
+    ) {
+      score -= 2 * foreign.length;
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Detect the character encoding of an uploaded file: from its byte order
+ * mark, then UTF-16 by its zero bytes, then UTF-8 if it decodes cleanly, and
+ * otherwise the legacy code page whose decoding reads most like text.
+ * ISO-8859-1 is reported for Western text that uses none of the characters
+ * Windows-1252 adds.
+ * @param {Uint8Array} bytes - File content
+ * @returns {object} { encoding, bom } where bom tells whether the file starts
+ *   with a byte order mark
+ */
+function detectTextEncoding(bytes) {
+  const markEncoding = findByteOrderMark(bytes);
+  if (markEncoding) return { encoding: markEncoding, bom: true };
+
+  const utf16 = guessUtf16(bytes);
+  if (utf16) return { encoding: utf16, bom: false };
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return { encoding: "utf-8", bom: false };
+  } catch (error) {
+    // Not UTF-8: fall through to the legacy code pages
+  }
+
+  let best = LEGACY_ENCODINGS[0];
+  let bestScore = -Infinity;
+  for (const encoding of LEGACY_ENCODINGS) {
+    const score = scoreLegacyDecoding(new TextDecoder(encoding).decode(bytes));
+    if (score > bestScore) {
+      best = encoding;
+      bestScore = score;
+    }
+  }
+
+  if (
+    best === "windows-1252" &&
+    !bytes.some((byte) => byte >= 0x80 && byte <= 0x9f)
+  ) {
+    best = "iso-8859-1";
+  }
+  return { encoding: best, bom: false };
+}
+
+/**
+ * Decode file content with an encoding. A byte order mark matching the
+ * encoding is dropped.
+ * @param {Uint8Array} bytes - File content
+ * @param {string} encoding - Key of TEXT_ENCODING_NAMES
+ * @returns {string} Decoded text
+ */
+function decodeText(bytes, encoding) {
+  return new TextDecoder(encoding).decode(bytes);
+}
+
+// --- Encoding Output ---
+
+// Stand-ins for characters a single-byte code page cannot hold, tried before
+// falling back to "?"
+const ENCODING_FALLBACKS = {
+  "‘": "'",
+  "’": "'",
+  "‚": "'",
+  "“": '"',
+  "”": '"',
+  "„": '"',
+  "–": "-",
+  "—": "-",
+  "…": "...",
+  "\u00a0": " ",
+  "\u202f": " ",
+  "€": "EUR",
+  "♪": "#",
+};
+
+// Character → byte tables of the single-byte code pages, built on first use
+const singleByteTables = new Map();
+
+/**
+ * Build the character → byte table of a single-byte code page. ISO-8859-1
+ * maps its bytes straight to the first 256 code points (the browser's
+ * decoder reads that label as Windows-1252 instead).
+ * @param {string} encoding - Single-byte encoding
+ * @returns {Map<string, number>} Byte for each character
+ */
+function getSingleByteTable(encoding) {
+  if (singleByteTables.has(encoding)) return singleByteTables.get(encoding);
+
+  const table = new Map();
+  const decoder = new TextDecoder(encoding);
+  for (let byte = 0; byte < 256; byte++) {
+    const char =
+      encoding === "iso-8859-1"
+        ? String.fromCharCode(byte)
+        : decoder.decode(new Uint8Array([byte]));
+    if (char !== "\ufffd" && !table.has(char)) table.set(char, byte);
+  }
+
+  singleByteTables.set(encoding, table);
+  return table;
+}
+
+/**
+ * Encode text as UTF-16 in either byte order.
+ * @param {string} text - Text to encode
+ * @param {boolean} littleEndian - True for UTF-16 LE
+ * @returns {Uint8Array} Encoded bytes
+ */
+function encodeUtf16(text, littleEndian) {
+  const bytes = new Uint8Array(text.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let position = 0; position < text.length; position++) {
+    view.setUint16(position * 2, text.charCodeAt(position), littleEndian);
+  }
+  return bytes;
+}
+
+/**
+ * Encode text with a single-byte code page. Characters it cannot hold are
+ * written as their ENCODING_FALLBACKS stand-in, or "?" without one.
+ * @param {string} text - Text to encode
+ * @param {string} encoding - Single-byte encoding
+ * @returns {object} { bytes, replacedCount }
+ */
+function encodeSingleByte(text, encoding) {
+  const table = getSingleByteTable(encoding);
+  const bytes = [];
+  let replacedCount = 0;
+
+  for (const char of text) {
+    if (table.has(char)) {
+      bytes.push(table.get(char));
+      continue;
+    }
+    replacedCount++;
+    const fallback = ENCODING_FALLBACKS[char] || "?";
+    for (const fallbackChar of fallback) {
+      bytes.push(table.has(fallbackChar) ? table.get(fallbackChar) : 0x3f);
+    }
+  }
+
+  return { bytes: new Uint8Array(bytes), replacedCount };
+}
+
+/**
+ * Convert every line break in text to the chosen line ending.
+ * @param {string} text - Text with any mix of line breaks
+ * @param {string} lineEnding - "crlf" or "lf"
+ * @returns {string} Text with uniform line breaks
+ */
+function setLineEndings(text, lineEnding) {
+  return text.replace(/\r\n?|\n/g, lineEnding === "crlf" ? "\r\n" : "\n");
+}
+
+// Names an XML declaration uses for each encoding; UTF-16 without a byte
+// order mark has to name its byte order
+const XML_ENCODING_NAMES = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16LE",
+  "utf-16be": "UTF-16BE",
+  "windows-1252": "windows-1252",
+  "iso-8859-1": "ISO-8859-1",
+  "iso-8859-15": "ISO-8859-15",
+  "windows-1250": "windows-1250",
+  "windows-1251": "windows-1251",
+};
+
+/**
+ * Make the XML declaration of a document name the encoding it is saved in,
+ * so XML parsers read it as written. A document without a declaration gets
+ * one unless it is saved as UTF-8, which parsers assume without one.
+ * @param {string} text - XML document
+ * @param {string} encoding - Key of TEXT_ENCODING_NAMES
+ * @param {object} [options] - { bom } as passed to encodeText()
+ * @returns {string} Document with a matching declaration
+ */
+function setXmlDeclaredEncoding(text, encoding, options = {}) {
+  const name =
+    options.bom && encoding.startsWith("utf-16")
+      ? "UTF-16"
+      : XML_ENCODING_NAMES[encoding];
+  const declaration = /^\s*<\?xml\b[^]*?\?>/.exec(text);
+
+  if (!declaration) {
+    return encoding === "utf-8"
+      ? text
+      : `<?xml version="1.0" encoding="${name}"?>\n${text}`;
+  }
+
+  const attribute = /(\sencoding\s*=\s*)(["'])[^"']*\2/;
+  const rewritten = attribute.test(declaration[0])
+    ? declaration[0].replace(attribute, `$1$2${name}$2`)
+    : declaration[0].replace(
+        /(\sversion\s*=\s*(["'])[^"']*\2)/,
+        `$1 encoding="${name}"`
+      );
+  return rewritten + text.slice(declaration[0].length);
+}
+
+/**
+ * Encode text for a download.
+ * @param {string} text - Text to encode
+ * @param {string} encoding - Key of TEXT_ENCODING_NAMES
+ * @param {object} [options] - { bom } to start a UTF-8 or UTF-16 file with a
+ *   byte order mark (ignored for the single-byte code pages)
+ * @returns {object} { bytes, replacedCount } where replacedCount is the
+ *   number of characters the encoding could not hold
+ */
+function encodeText(text, encoding, options = {}) {
+  const bom = options.bom ? "\ufeff" : "";
+
+  switch (encoding) {
+    case "utf-8":
+      return {
+        bytes: new TextEncoder().encode(bom + text),
+        replacedCount: 0,
+      };
+    case "utf-16le":
+    case "utf-16be":
+      return {
+        bytes: encodeUtf16(bom + text, encoding === "utf-16le"),
+        replacedCount: 0,
+      };
+    default:
+      return encodeSingleByte(text, encoding);
+  }
+}
@@ -0,0 +1,528 @@
+// --- Text Processing Functions ---
+
+// Punctuation (optionally followed by closing quotes or brackets) that ends a
+// sentence or a clause, preferred wherever text has to be split
+const SENTENCE_END_PATTERN = /[.?!…]["”’»)]*$/;
+const CLAUSE_END_PATTERN = /[,;:—–]["”’»)]*$/;
+
+// Scripts written without spaces between words, which need a tokenizer
+const NO_SPACE_SCRIPT_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Starts a token that continues the previous one without a space in between
+const WORD_JOINER = "\u2060";
+
+// Letters whose base letter is not reached by removing combining marks
+const FOLDED_LETTERS = { ß: "ss", æ: "ae", œ: "oe", ø: "o", ł: "l", đ: "d" };
+
+/**
+ * Normalize a word for alignment comparison.
+ * Keeps letters, combining marks and digits of every script, drops
+ * punctuation and symbols, and lowercases the word.
+ * @param {string} word - Word to normalize
+ * @param {object} [options] - { foldDiacritics }: also drop the accents of
+ *   Latin, Greek and Cyrillic letters, so "café" and "cafe" compare equal
+ * @returns {string} Comparison key ("" when nothing is left)
+ */
+function cleanForComparison(word, options = {}) {
+  if (!word) return "";
+
+  let clean = word
+    .normalize("NFC") // Normalize to composed form: combines characters and accents (e.g., "e + ́" → "é")
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "") // Remove everything that is not a letter, mark or digit, in any script
+    .toLowerCase(); // Convert to lowercase for case-insensitive comparison
+
+  if (options.foldDiacritics) {
+    // Only fold scripts where accents are optional; marks are letters' vowels
+    // in Indic, Thai or Arabic text
+    clean = clean
+      .normalize("NFD")
+      .replace(
+        /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu,
+        "$1"
+      )
+      .normalize("NFC")
+      .replace(/[ßæœøłđ]/g, (letter) => FOLDED_LETTERS[letter]);
+  }
+
+  return clean;
+}
+
+/**
+ * Split a chunk of text written without spaces into words, with
+ * Intl.Segmenter when the browser has it. Without it, Chinese and Japanese
+ * fall back to one token per character and other scripts stay whole.
+ * Punctuation stays attached to the word next to it.
+ * @param {string} chunk - Text without whitespace
+ * @returns {string[]} Words
+ */
+function segmentChunk(chunk) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) {
+    return (
+      chunk.match(
+        /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}][^\p{L}\p{N}]*|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu
+      ) || [chunk]
+    );
+  }
+
+  if (!segmentChunk.segmenter) {
+    segmentChunk.segmenter = new Intl.Segmenter(undefined, {
+      granularity: "word",
+    });
+  }
+
+  const words = [];
+  let pending = ""; // Opening punctuation waiting for its word
+  for (const { segment, isWordLike } of segmentChunk.segmenter.segment(chunk)) {
+    if (isWordLike) {
+      words.push(pending + segment);
+      pending = "";
+    } else if (words.length > 0) {
+      words[words.length - 1] += segment;
+    } else {
+      pending += segment;
+    }
+  }
+  if (pending) words.push(pending);
+  return words;
+}
+
+/**
+ * Split text into the words used for alignment. Words are separated by
+ * whitespace other than non-breaking spaces; runs of Chinese, Japanese, Thai
+ * and similar scripts are split further by segmentChunk(). Words that
+ * followed the previous one without a space start with WORD_JOINER, so
+ * joinWords() can rebuild the text.
+ * @param {string} text - Text to split
+ * @returns {string[]} Words
+ */
+function tokenizeWords(text) {
+  const words = [];
+  for (const chunk of text.split(/[^\S\u00a0\u202f]+/)) {
+    if (!chunk) continue;
+    if (!NO_SPACE_SCRIPT_PATTERN.test(chunk)) {
+      words.push(chunk);
+      continue;
+    }
+    segmentChunk(chunk).forEach((word, index) => {
+      words.push(index === 0 ? word : WORD_JOINER + word);
+    });
+  }
+  return words;
+}
+
+/**
+ * Join words from tokenizeWords() back into text. A word starting or ending
+ * with a non-breaking space (see applyTypography()) is joined by it alone,
+ * and a word ending with WORD_JOINER (see styleDialogueDashes()) is joined
+ * to the next without a space.
+ * @param {string[]} words - Words to join
+ * @returns {string} Text, with spaces only where the words had them
+ */
+function joinWords(words) {
+  return words
+    .join(" ")
+    .replace(/\u2060 /g, "")
+    .replace(/ ?\u2060/g, "")
+    .replace(/ ?([\u00a0\u202f]) ?/g, "$1");
+}
+
+/**
+ * Normalize whitespace: collapse multiple spaces into one and trim.
+ * Non-breaking spaces are kept, as they bind the words around them.
+ */
+function normalizeSpaces(text) {
+  return text.replace(/[^\S\u00a0\u202f]+/g, " ").trim();
+}
+
+/**
+ * Remove all line breaks from the input text.
+ */
+function removeLineBreaks(text) {
+  return text.replace(/\r?\n/g, " ");
+}
+
+// --- Typography ---
+
+// Typography of each language: its quotation marks, its dash and the rules
+// it applies unless told otherwise. "none" leaves the text as written.
+const TYPOGRAPHY_PROFILES = {
+  en: {
+    quotes: ["“", "”"],
+    dash: "—",
+    rules: { quotes: true, apostrophes: true, dashes: true },
+  },
+  fr: {
+    quotes: ["«", "»"],
+    dash: "–",
+    rules: { quotes: true, apostrophes: true, dashes: true, spacing: true },
+  },
+  de: {
+    quotes: ["„", "“"],
+    dash: "–",
+    rules: { quotes: true, apostrophes: true, dashes: true },
+  },
+  es: {
+    quotes: ["“", "”"],
+    dash: "—",
+    rules: {
+      quotes: true,
+      apostrophes: true,
+      dashes: true,
+      invertedMarks: true,
+    },
+  },
+  "pt-BR": {
+    quotes: ["“", "”"],
+    dash: "—",
+    rules: { quotes: true, apostrophes: true, dashes: true },
+  },
+  none: { quotes: ["“", "”"], dash: "—", rules: {} },
+};
+
+// Rules applyTypography() knows, all off unless the profile or the options
+// turn them on
+const TYPOGRAPHY_RULES = [
+  "quotes",
+  "apostrophes",
+  "dashes",
+  "ellipsis",
+  "spacing",
+  "invertedMarks",
+];
+
+// Quotation marks of any language, read as straight double quotes before
+// the profile's marks are put in
+const ANY_DOUBLE_QUOTE_PATTERN = /["“”„«»]/g;
+
+/**
+ * Settle which typography rules apply: the profile's defaults, overridden
+ * by the options given.
+ * @param {object} [options] - { locale, quotes, apostrophes, dashes,
+ *   ellipsis, spacing, invertedMarks }; the locale is a key of
+ *   TYPOGRAPHY_PROFILES (English when missing)
+ * @returns {object} { profile, rules } with every rule true or false
+ */
+function resolveTypography(options = {}) {
+  const profile = TYPOGRAPHY_PROFILES[options.locale || "en"];
+  const rules = {};
+  for (const rule of TYPOGRAPHY_RULES) {
+    rules[rule] =
+      options[rule] === undefined
+        ? Boolean(profile.rules[rule])
+        : options[rule];
+  }
+  return { profile, rules };
+}
+
+/**
+ * Put the profile's quotation marks in place of the quotes of any language.
+ * A quote before a word's first letter opens, one after its last letter
+ * closes; a quote standing alone or inside a word closes the quote left
+ * open, or else opens one.
+ * @param {string[]} words - Words to change in place
+ * @param {string[]} quotes - Opening and closing mark
+ */
+function placeQuotes(words, [open, close]) {
+  let isOpen = false;
+
+  words.forEach((word, n) => {
+    const letters = [...word.matchAll(/[\p{L}\p{N}]/gu)];
+    const first = letters.length > 0 ? letters[0].index : -1;
+    const last = letters.length > 0 ? letters[letters.length - 1].index : -1;
+
+    words[n] = word.replace(ANY_DOUBLE_QUOTE_PATTERN, (quote, position) => {
+      let opens = !isOpen;
+      if (first !== -1 && position < first) opens = true;
+      if (first !== -1 && position > last) opens = false;
+      isOpen = opens;
+      return opens ? open : close;
+    });
+  });
+}
+
+/**
+ * Add the opening ¿ and ¡ Spanish needs at the start of a question or
+ * exclamation that lacks them.
+ * @param {string[]} words - Words to change in place
+ */
+function addInvertedMarks(words) {
+  let sentenceStart = 0;
+
+  words.forEach((word, n) => {
+    if (!SENTENCE_END_PATTERN.test(word)) return;
+    const sentence = words.slice(sentenceStart, n + 1).join(" ");
+    const marks = [
+      ["?", "¿"],
+      ["!", "¡"],
+    ]
+      .filter(([end, start]) => word.includes(end) && !sentence.includes(start))
+      .map(([, start]) => start)
+      .join("");
+
+    if (marks) {
+      // After any dialogue dash or speaker label
+      const first = Math.min(
+        sentenceStart + countTurnMarkerWords(words, sentenceStart),
+        n
+      );
+      words[first] = words[first].replace(/^([^\p{L}\p{N}]*)/u, `$1${marks}`);
+    }
+    sentenceStart = n + 1;
+  });
+}
+
+/**
+ * Put the non-breaking spaces of French typography in: a narrow one before
+ * ; ! ? and a full one before : and inside « ». Words that are only the
+ * mark get the space on the side of the word they belong to, which
+ * joinWords() then uses instead of the normal space.
+ * @param {string[]} words - Words to change in place
+ */
+function addFrenchSpacing(words) {
+  words.forEach((word, n) => {
+    let spaced = word
+      .replace(/«(?=\S)/g, "«\u00a0")
+      .replace(/(\S)»/g, "$1\u00a0»")
+      .replace(/([^\s;:!?])([;!?][;:!?]*)(?=[»)\]]*$)/, "$1\u202f$2")
+      .replace(/([^\s;:!?\d])(:)(?=[»)\]]*$)/, "$1\u00a0$2");
+
+    // Marks standing apart from the word they belong to
+    if (/^[;!?]/.test(spaced)) spaced = "\u202f" + spaced;
+    else if (/^[:»]/.test(spaced)) spaced = "\u00a0" + spaced;
+    if (spaced.endsWith("«")) spaced += "\u00a0";
+    words[n] = spaced;
+  });
+}
+
+/**
+ * Apply a language's typography to words from tokenizeWords(). Each word
+ * stays one word, so positions in the word sequence are not affected.
+ * Rules:
+ *   - quotes: the language's quotation marks, by position (see placeQuotes())
+ *   - apostrophes: ’ for a straight ' between letters
+ *   - dashes: the language's dash for a hyphen standing alone (" - ", " -- "),
+ *     except dialogue dashes (see styleDialogueDashes())
+ *   - ellipsis: … for three periods
+ *   - spacing: French non-breaking spaces (see addFrenchSpacing())
+ *   - invertedMarks: Spanish opening ¿ and ¡ (see addInvertedMarks())
+ * @param {string[]} words - Words to style
+ * @param {object} [options] - See resolveTypography()
+ * @returns {string[]} Styled words
+ */
+function applyTypography(words, options) {
+  const { profile, rules } = resolveTypography(options);
+  const styled = [...words];
+  const turnStarts = new Set(findDialogueTurns(words));
+
+  if (rules.quotes) placeQuotes(styled, profile.quotes);
+
+  styled.forEach((word, n) => {
+    let result = word;
+    if (rules.apostrophes) {
+      result = result.replace(/(?<=[\p{L}])'(?=[\p{L}])/gu, "’");
+    }
+    if (rules.dashes && /^--?$/.test(result) && !turnStarts.has(n)) {
+      result = profile.dash;
+    }
+    if (rules.ellipsis) result = result.replace(/\.\.\./g, "…");
+    styled[n] = result;
+  });
+
+  if (rules.invertedMarks) addInvertedMarks(styled);
+  if (rules.spacing) addFrenchSpacing(styled);
+  return styled;
+}
+
+// --- Dialogue Turns ---
+
+// A dash standing alone, or ">>", marks the start of a speaker's turn
+const LONE_TURN_MARKER_PATTERN = /^(?:[-‐–—]{1,2}|>>)$/;
+
+// A dash attached to the first word of a turn (optionally by a non-breaking
+// space)
+const ATTACHED_TURN_DASH_PATTERN = /^[-‐–—][\u00a0\u202f]?(?=[^\s-‐–—])/;
+
+// A word that may end the turn before an interruption ("I was going to—")
+const INTERRUPTION_END_PATTERN = /[-‐–—]["”’»)]*$/;
+
+/**
+ * Count the words of a speaker label starting at a word: one to three
+ * upper-case words, the last ending in ":" ("JOHN:", "DR. SMITH:").
+ * @param {string[]} words - Words
+ * @param {number} n - Position of the first word
+ * @returns {number} Words in the label (0 when there is none)
+ */
+function countSpeakerLabelWords(words, n) {
+  for (let length = 1; length <= 3 && n + length <= words.length; length++) {
+    const word = words[n + length - 1];
+    if (!/\p{Lu}/u.test(word) || /\p{Ll}/u.test(word)) return 0;
+    if (/:$/.test(word)) return length;
+  }
+  return 0;
+}
+
+/**
+ * Count the words at a position that only mark a new turn: a lone dash or
+ * ">>", and the speaker label that may follow it.
+ * @param {string[]} words - Words
+ * @param {number} n - Position to look at
+ * @returns {number} Marker words (0 when the turn, if any, starts with a word
+ *   carrying its own dash)
+ */
+function countTurnMarkerWords(words, n) {
+  const lone = LONE_TURN_MARKER_PATTERN.test(words[n]) ? 1 : 0;
+  return lone + countSpeakerLabelWords(words, n + lone);
+}
+
+/**
+ * Find where speakers' turns start: a dash, ">>" or speaker label at the
+ * start of the text or right after the end of a sentence or an
+ * interruption.
+ * @param {string[]} words - Words of a cue or of the whole text
+ * @returns {number[]} Positions of the words starting a turn
+ */
+function findDialogueTurns(words) {
+  const starts = [];
+
+  for (let n = 0; n < words.length; n++) {
+    const previous = words[n - 1];
+    const atBoundary =
+      n === 0 ||
+      SENTENCE_END_PATTERN.test(previous) ||
+      INTERRUPTION_END_PATTERN.test(previous);
+    if (!atBoundary) continue;
+
+    const markerWords = countTurnMarkerWords(words, n);
+    if (markerWords > 0 || ATTACHED_TURN_DASH_PATTERN.test(words[n])) {
+      starts.push(n);
+      n += Math.max(markerWords, 1) - 1;
+    }
+  }
+
+  return starts;
+}
+
+/**
+ * Split cue text into the turns of its speakers.
+ * @param {string} text - Cue text
+ * @returns {string[]} One text per turn (the whole text when it holds fewer
+ *   than two turns)
+ */
+function splitDialogueTurns(text) {
+  const words = text.split(" ").filter(Boolean);
+  const starts = findDialogueTurns(words).filter((start) => start > 0);
+  if (starts.length === 0) return [text];
+
+  return [0, ...starts].map((start, turn) =>
+    words.slice(start, starts[turn]).join(" ")
+  );
+}
+
+/**
+ * Find how the dialogue dashes of subtitles are written: the dash and
+ * whether a space follows it, as most of their turn lines have it.
+ * @param {object[]} subtitles - Parsed subtitles (with originalTextLines)
+ * @returns {object|null} { dash, space }, or null without dialogue dashes
+ */
+function detectDialogueDashStyle(subtitles) {
+  const counts = new Map();
+  for (const sub of subtitles) {
+    for (const line of sub.originalTextLines || []) {
+      const match = /^([-‐–—])(\s?)(?=\S)/.exec(line.trim());
+      if (!match) continue;
+      const key = match[1] + match[2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  if (counts.size === 0) return null;
+
+  const [key] = [...counts].sort((a, b) => b[1] - a[1])[0];
+  return { dash: key[0], space: key.length > 1 };
+}
+
+/**
+ * Settle the dialogue dash style of a sync.
+ * @param {object|null} options - { dash, space } where dash is "-", "–" or
+ *   "—", "original" to write them as the original subtitles do, or "keep"
+ *   to leave them as written
+ * @param {object[]} subtitles - Original subtitles
+ * @returns {object|null} { dash, space }, or null to leave the dashes alone
+ */
+function resolveDialogueStyle(options, subtitles) {
+  if (!options || options.dash === "keep") return null;
+  if (options.dash === "original") return detectDialogueDashStyle(subtitles);
+  return { dash: options.dash, space: Boolean(options.space) };
+}
+
+/**
+ * Write the dashes that start dialogue turns in one style. A space after
+ * the dash is non-breaking so the dash never ends a line; without a space,
+ * a dash standing alone is joined to the next word by joinWords().
+ * @param {string[]} words - Words from tokenizeWords()
+ * @param {object|null} style - { dash, space } from resolveDialogueStyle()
+ * @returns {string[]} Words with their dialogue dashes restyled
+ */
+function styleDialogueDashes(words, style) {
+  if (!style) return words;
+
+  const styled = [...words];
+  for (const n of findDialogueTurns(words)) {
+    const word = words[n];
+    if (/^[-‐–—]{1,2}$/.test(word)) {
+      styled[n] = style.dash + (style.space ? "\u00a0" : WORD_JOINER);
+    } else if (ATTACHED_TURN_DASH_PATTERN.test(word)) {
+      styled[n] =
+        style.dash +
+        (style.space ? "\u00a0" : "") +
+        word.replace(/^[-‐–—][\u00a0\u202f]?/, "");
+    }
+  }
+  return styled;
+}
+
+// --- SDH Annotations ---
+
+// Opening and closing marks of the annotations in captions for the deaf and
+// hard of hearing: sound descriptions in brackets or parentheses, and lyrics
+// between music notes
+const SDH_ANNOTATION_MARKS = [
+  ["[", "]"],
+  ["(", ")"],
+  ["♪", "♪"],
+  ["♫", "♫"],
+];
+
+/**
+ * Find the words of a cue that belong to SDH annotations ("[MUSIC]",
+ * "(laughs)", "♪ lyrics ♪"). An annotation may follow a dialogue dash or
+ * speaker label. Lyrics missing their closing note run to the end of the
+ * cue; a bracket that is never closed is not an annotation.
+ * @param {string[]} words - Words of one cue
+ * @returns {boolean[]} For each word, whether it is part of an annotation
+ */
+function findSdhAnnotations(words) {
+  const annotated = words.map(() => false);
+
+  for (let n = 0; n < words.length; n++) {
+    const word = words[n];
+    const opening = /^[^\p{L}\p{N}]*/u.exec(word)[0];
+    const mark = SDH_ANNOTATION_MARKS.find(([open]) => opening.includes(open));
+    if (!mark) continue;
+
+    const [open, close] = mark;
+    let end = n;
+    if (!word.includes(close, word.indexOf(open) + 1)) {
+      end = words.findIndex((later, m) => m > n && later.includes(close));
+      if (end === -1) {
+        if (open === close) end = words.length - 1;
+        else continue;
+      }
+    }
+
+    for (let m = n; m <= end; m++) annotated[m] = true;
+    n = end;
+  }
+
+  return annotated;
+}
@@ -0,0 +1,533 @@
+// --- Translation Alignment ---
+//
+// Cross-language mode for revised text in another language than the
+// captions, where hardly any word matches exactly. Instead of matching words,
+// the revised text is cut into one stretch per cue. Each cut is placed near
+// where the cue's share of the original (by text length and duration) puts
+// it, preferably after a sentence or clause end, and on the right side of
+// anchors: numbers, names and glossary terms found in both texts.
+
+// Share of the expected cue size that comes from text length; the rest comes
+// from the cue's duration
+const TRANSLATION_LENGTH_WEIGHT = 0.7;
+
+// How far (in words) a cut may move away from its expected position
+const TRANSLATION_SEARCH_WORDS = 40;
+
+// Cut costs, in words of distance from the expected position
+const TRANSLATION_BOUNDARY_BONUS = { sentence: 4, clause: 1.5 };
+const TRANSLATION_ANCHOR_PENALTY = 12;
+
+/**
+ * Read a bilingual glossary: one "original term = translated term" pair per
+ * line (a tab works as separator too). Blank lines and lines starting with
+ * "#" are ignored.
+ * @param {string} text - Glossary as typed by the user
+ * @returns {object[]} Array of { source, target }
+ */
+function parseGlossary(text) {
+  return (text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => line.split(/\s*(?:=|\t)\s*/))
+    .filter((parts) => parts.length === 2 && parts[0] && parts[1])
+    .map(([source, target]) => ({ source, target }));
+}
+
+/**
+ * Which kind of break follows a word.
+ * @param {string} [word] - Word to check
+ * @returns {string|null} "sentence", "clause" or null
+ */
+function breakAfterWord(word) {
+  if (!word) return null;
+  if (SENTENCE_END_PATTERN.test(word)) return "sentence";
+  if (CLAUSE_END_PATTERN.test(word)) return "clause";
+  return null;
+}
+
+/**
+ * Language-neutral keys of every word: numbers by their digits and names
+ * (capitalised words not starting a sentence, or quoted ones) by their
+ * normalized spelling. Words that are neither get no key.
+ * @param {string[]} words - Word sequence
+ * @param {object} cleanOptions - Options for cleanForComparison()
+ * @returns {(string|null)[]} Anchor key per word
+ */
+function findAnchorKeys(words, cleanOptions) {
+  return words.map((word, index) => {
+    const digits = word.replace(/\P{Nd}/gu, "");
+    if (digits) return `#${digits}`;
+
+    const startsSentence =
+      index === 0 || SENTENCE_END_PATTERN.test(words[index - 1]);
+    const quoted = /^["“„«‘‹']/.test(word);
+    if (/^\P{L}*\p{Lu}/u.test(word) && (quoted || !startsSentence)) {
+      const clean = cleanForComparison(word, cleanOptions);
+      return clean ? `@${clean}` : null;
+    }
+    return null;
+  });
+}
+
+/**
+ * Add a glossary key to every word that starts one of the glossary terms.
+ * @param {(string|null)[]} keys - Anchor keys per word, updated in place
+ * @param {string[]} words - Word sequence
+ * @param {string[]} terms - Glossary terms for this side, by glossary entry
+ * @param {object} cleanOptions - Options for cleanForComparison()
+ */
+function addGlossaryKeys(keys, words, terms, cleanOptions) {
+  const cleanWords = words.map((word) =>
+    cleanForComparison(word, cleanOptions)
+  );
+
+  terms.forEach((term, entry) => {
+    const termWords = tokenizeWords(term)
+      .map((word) => cleanForComparison(word, cleanOptions))
+      .filter(Boolean);
+    if (termWords.length === 0) return;
+
+    for (let i = 0; i + termWords.length <= words.length; i++) {
+      if (termWords.every((word, offset) => cleanWords[i + offset] === word)) {
+        keys[i] = `=${entry}`;
+      }
+    }
+  });
+}
+
+/**
+ * Pair up the anchors of both texts. A key only anchors when it occurs as
+ * often in both texts, so its occurrences can be paired in order; pairs that
+ * cross each other are then dropped, keeping the largest consistent set.
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} seq2 - Revised words
+ * @param {object[]} glossary - Result from parseGlossary()
+ * @param {object} cleanOptions - Options for cleanForComparison()
+ * @returns {object[]} Anchors { index1, index2 }, in order
+ */
+function findTranslationAnchors(seq1, seq2, glossary, cleanOptions) {
+  const keys1 = findAnchorKeys(seq1, cleanOptions);
+  const keys2 = findAnchorKeys(seq2, cleanOptions);
+  addGlossaryKeys(
+    keys1,
+    seq1,
+    glossary.map((entry) => entry.source),
+    cleanOptions
+  );
+  addGlossaryKeys(
+    keys2,
+    seq2,
+    glossary.map((entry) => entry.target),
+    cleanOptions
+  );
+
+  const occurrences = (keys) => {
+    const byKey = new Map();
+    keys.forEach((key, index) => {
+      if (!key) return;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(index);
+    });
+    return byKey;
+  };
+  const occurrences2 = occurrences(keys2);
+
+  const pairs = [];
+  for (const [key, indices1] of occurrences(keys1)) {
+    const indices2 = occurrences2.get(key);
+    if (!indices2 || indices2.length !== indices1.length) continue;
+    indices1.forEach((index1, n) => {
+      pairs.push({ index1, index2: indices2[n] });
+    });
+  }
+  pairs.sort((a, b) => a.index1 - b.index1);
+
+  // Longest run of pairs whose revised positions keep increasing
+  const tails = []; // Position in pairs of the last pair of each run length
+  const previous = new Array(pairs.length).fill(-1);
+  pairs.forEach((pair, position) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (pairs[tails[middle]].index2 < pair.index2) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    if (low > 0) previous[position] = tails[low - 1];
+    tails[low] = position;
+  });
+
+  const anchors = [];
+  for (
+    let position = tails.length > 0 ? tails[tails.length - 1] : -1;
+    position !== -1;
+    position = previous[position]
+  ) {
+    anchors.push(pairs[position]);
+  }
+  return anchors.reverse();
+}
+
+/**
+ * Number of characters before each word of a sequence, counting one space
+ * between words (tokens continuing a word add no space).
+ * @param {string[]} words - Word sequence
+ * @returns {number[]} Characters before each word, plus the total at the end
+ */
+function countCharactersBefore(words) {
+  const before = [0];
+  for (const word of words) {
+    const length = word.startsWith(WORD_JOINER)
+      ? word.length - 1
+      : word.length + 1;
+    before.push(before[before.length - 1] + length);
+  }
+  return before;
+}
+
+/**
+ * Where each cue should start, as a share (0 to 1) of the whole text, from
+ * the cue's share of the original text length and of the total duration.
+ * Cues without words get no share.
+ * @param {object[]} subtitles - Original cues
+ * @param {object[]} segmentBoundaries - Result from computeSegmentBoundaries()
+ * @param {number[]} charsBefore1 - Result from countCharactersBefore() for
+ *   the original words
+ * @returns {number[]} Share before each cue, plus 1 at the end
+ */
+function computeCueShares(subtitles, segmentBoundaries, charsBefore1) {
+  const sizes = segmentBoundaries.map(({ start, end }, index) => ({
+    chars: charsBefore1[end] - charsBefore1[start],
+    duration:
+      end > start
+        ? Math.max(0, subtitles[index].endMillis - subtitles[index].startMillis)
+        : 0,
+  }));
+  const totalChars = sizes.reduce((sum, size) => sum + size.chars, 0);
+  const totalDuration = sizes.reduce((sum, size) => sum + size.duration, 0);
+  const lengthWeight = totalDuration > 0 ? TRANSLATION_LENGTH_WEIGHT : 1;
+
+  const shares = [0];
+  for (const size of sizes) {
+    const share =
+      lengthWeight * (size.chars / totalChars) +
+      (1 - lengthWeight) *
+        (totalDuration > 0 ? size.duration / totalDuration : 0);
+    shares.push(shares[shares.length - 1] + share);
+  }
+  shares[shares.length - 1] = 1;
+  return shares;
+}
+
+/**
+ * Build a function mapping a share of the original to the matching share of
+ * the revised text: a straight line, bent so every anchor lands where it
+ * was found in the revised text.
+ * @param {object[]} anchors - Result from findTranslationAnchors()
+ * @param {function(number): number} originalShareAt - Share of the original
+ *   before an original word
+ * @param {function(number): number} revisedShareAt - Share of the revised
+ *   text before a revised word
+ * @returns {function(number): number} Share mapping
+ */
+function createShareMapping(anchors, originalShareAt, revisedShareAt) {
+  const points = [{ x: 0, y: 0 }];
+  for (const { index1, index2 } of anchors) {
+    const x = originalShareAt(index1);
+    const y = revisedShareAt(index2);
+    const last = points[points.length - 1];
+    if (x > last.x && y >= last.y) points.push({ x, y });
+  }
+  points.push({ x: 1, y: 1 });
+
+  return (share) => {
+    let n = 1;
+    while (n < points.length - 1 && points[n].x < share) n++;
+    const from = points[n - 1];
+    const to = points[n];
+    if (to.x === from.x) return to.y;
+    return from.y + ((share - from.x) / (to.x - from.x)) * (to.y - from.y);
+  };
+}
+
+/**
+ * How much a cut between cues reads like the original one: 1 when both texts
+ * break the same way (sentence, clause or neither), less the further apart
+ * they are, and a little less for cuts inside a sentence, whose exact place
+ * is only estimated.
+ * @param {string|null} originalBreak - Break after the cue in the original
+ * @param {string|null} revisedBreak - Break before the cut in the revised text
+ * @returns {number} Fit between 0 and 1
+ */
+function rateTranslationCut(originalBreak, revisedBreak) {
+  const rank = { sentence: 2, clause: 1 };
+  const distance = Math.abs(
+    (rank[originalBreak] || 0) - (rank[revisedBreak] || 0)
+  );
+  return (1 - 0.25 * distance) * (originalBreak ? 1 : 0.8);
+}
+
+/**
+ * Pair original and revised words in proportion to their position, for a
+ * stretch of a cue between two anchors. Steps with a word on one side only
+ * point at the previous word of the other side, like alignment gaps.
+ * @param {object[]} steps - Steps to append to
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} seq2 - Revised words
+ * @param {object} stretch - { start1, end1, start2, end2, before1 }: word
+ *   ranges (end exclusive) on both sides, and the original word that revised
+ *   words go with when the stretch has no original words
+ * @param {string} type - Step type for the pairs
+ */
+function pairWordsProportionally(steps, seq1, seq2, stretch, type) {
+  const { start1, end1, start2, end2, before1 } = stretch;
+  const count1 = end1 - start1;
+  const count2 = end2 - start2;
+  const length = Math.max(count1, count2);
+  let last1 = -1;
+  let last2 = -1;
+
+  for (let t = 0; t < length; t++) {
+    const i = Math.floor((t * count1) / length);
+    const j = Math.floor((t * count2) / length);
+
+    steps.push({
+      index1: count1 === 0 ? before1 : start1 + i,
+      index2: count2 === 0 ? start2 - 1 : start2 + j,
+      word1: count1 > 0 && i !== last1 ? seq1[start1 + i] : null,
+      word2: count2 > 0 && j !== last2 ? seq2[start2 + j] : null,
+      type,
+    });
+    last1 = i;
+    last2 = j;
+  }
+}
+
+/**
+ * Align a translation with the original cues. The revised words are cut
+ * into one stretch per cue by dynamic programming over the cut positions:
+ * each cut costs its distance (in words) from the expected position, minus a
+ * bonus after a sentence or clause end, plus a penalty for every anchor it
+ * leaves in the wrong cue. Within a cue, words are paired in proportion to
+ * their position, and anchors with each other.
+ * @param {string[]} seq1 - Original words
+ * @param {string[]} seq2 - Revised words
+ * @param {object} options - { subtitles, segmentBoundaries, glossary,
+ *   foldDiacritics, onProgress(fraction) } where subtitles are the original
+ *   cues, segmentBoundaries the result from computeSegmentBoundaries() and
+ *   glossary the result from parseGlossary()
+ * @returns {object} { steps, cueConfidence } where steps are alignment
+ *   steps ("match" for anchors, "translated" for the other pairs, "gap1" or
+ *   "gap2" for cues left without words on one side) and cueConfidence rates
+ *   each cue's cuts between 0 and 1
+ */
+function alignTranslation(seq1, seq2, options) {
+  const { subtitles, segmentBoundaries, onProgress } = options;
+  const cleanOptions = { foldDiacritics: options.foldDiacritics };
+  const cueCount = segmentBoundaries.length;
+
+  const charsBefore1 = countCharactersBefore(seq1);
+  const charsBefore2 = countCharactersBefore(seq2);
+  const totalChars2 = charsBefore2[seq2.length];
+  const averageWordChars = totalChars2 / seq2.length;
+  const shares = computeCueShares(subtitles, segmentBoundaries, charsBefore1);
+
+  // Cue holding each original word
+  const cueOfWord = new Int32Array(seq1.length);
+  segmentBoundaries.forEach(({ start, end }, cue) => {
+    cueOfWord.fill(cue, start, end);
+  });
+
+  const anchors = findTranslationAnchors(
+    seq1,
+    seq2,
+    options.glossary || [],
+    cleanOptions
+  );
+  const anchorsByCue = segmentBoundaries.map(() => []);
+  for (const anchor of anchors)
+    anchorsByCue[cueOfWord[anchor.index1]].push(anchor);
+
+  const originalShareAt = (index1) => {
+    const cue = cueOfWord[index1];
+    const { start, end } = segmentBoundaries[cue];
+    const cueChars = charsBefore1[end] - charsBefore1[start];
+    const within = (charsBefore1[index1] - charsBefore1[start]) / cueChars;
+    return shares[cue] + within * (shares[cue + 1] - shares[cue]);
+  };
+  const mapShare = createShareMapping(
+    anchors,
+    originalShareAt,
+    (index2) => charsBefore2[index2] / totalChars2
+  );
+
+  // Cut k is the first revised word of cue k (cut 0 is 0, cut cueCount is
+  // the end). Each cut searches a window of positions around its expected one.
+  const expected = [];
+  const windows = [];
+  let lastLow = 0;
+  let lastHigh = 0;
+  let position = 0;
+  for (let k = 1; k < cueCount; k++) {
+    const chars = mapShare(shares[k]) * totalChars2;
+    expected[k] = chars;
+    while (position < seq2.length && charsBefore2[position + 1] <= chars) {
+      position++;
+    }
+    lastLow = Math.max(lastLow, position - TRANSLATION_SEARCH_WORDS);
+    lastHigh = Math.max(
+      lastHigh,
+      Math.min(seq2.length, position + TRANSLATION_SEARCH_WORDS)
+    );
+    windows[k] = { low: lastLow, high: lastHigh };
+  }
+
+  const cutCost = (k, cut) => {
+    let cost = Math.abs(charsBefore2[cut] - expected[k]) / averageWordChars;
+
+    const originalStart = segmentBoundaries[k].start;
+    const revisedBreak =
+      cut > 0 && cut < seq2.length ? breakAfterWord(seq2[cut - 1]) : null;
+    if (revisedBreak) {
+      const originalBreak =
+        originalStart > 0 ? breakAfterWord(seq1[originalStart - 1]) : null;
+      cost -=
+        TRANSLATION_BOUNDARY_BONUS[revisedBreak] * (originalBreak ? 1 : 0.5);
+    }
+
+    // Anchors of the previous cue must come before the cut, and anchors of
+    // this cue at or after it
+    for (const anchor of anchorsByCue[k - 1]) {
+      if (anchor.index2 >= cut) cost += TRANSLATION_ANCHOR_PENALTY;
+    }
+    for (const anchor of anchorsByCue[k]) {
+      if (anchor.index2 < cut) cost += TRANSLATION_ANCHOR_PENALTY;
+    }
+    return cost;
+  };
+
+  // Forward pass: best total cost of each cut position, keeping the cut
+  // positions in order
+  const costs = [];
+  const from = [];
+  for (let k = 1; k < cueCount; k++) {
+    const { low, high } = windows[k];
+    costs[k] = new Float64Array(high - low + 1);
+    from[k] = new Int32Array(high - low + 1);
+
+    let bestPrevious = k === 1 ? 0 : Infinity;
+    let bestPreviousCut = 0;
+    let previousCut = k === 1 ? 0 : windows[k - 1].low;
+
+    for (let cut = low; cut <= high; cut++) {
+      if (k > 1) {
+        while (previousCut <= Math.min(cut, windows[k - 1].high)) {
+          const cost = costs[k - 1][previousCut - windows[k - 1].low];
+          if (cost < bestPrevious) {
+            bestPrevious = cost;
+            bestPreviousCut = previousCut;
+          }
+          previousCut++;
+        }
+      }
+      costs[k][cut - low] = bestPrevious + cutCost(k, cut);
+      from[k][cut - low] = bestPreviousCut;
+    }
+
+    if (onProgress) onProgress(k / cueCount);
+  }
+
+  // Traceback from the cheapest last cut
+  const cuts = new Array(cueCount + 1).fill(0);
+  cuts[cueCount] = seq2.length;
+  if (cueCount > 1) {
+    const last = cueCount - 1;
+    let best = 0;
+    costs[last].forEach((cost, offset) => {
+      if (cost < costs[last][best]) best = offset;
+    });
+    cuts[last] = windows[last].low + best;
+    for (let k = last; k > 1; k--) {
+      cuts[k - 1] = from[k][cuts[k] - windows[k].low];
+    }
+  }
+
+  // Steps per cue, pairing anchors with each other and the words between
+  // them in proportion
+  const steps = [];
+  const cueConfidence = [];
+  const cutFit = (k) => {
+    if (k === 0 || k === cueCount) return 1;
+    const originalStart = segmentBoundaries[k].start;
+    const fit = rateTranslationCut(
+      originalStart > 0 ? breakAfterWord(seq1[originalStart - 1]) : null,
+      cuts[k] > 0 ? breakAfterWord(seq2[cuts[k] - 1]) : null
+    );
+    const misplaced =
+      anchorsByCue[k - 1].some((anchor) => anchor.index2 >= cuts[k]) ||
+      anchorsByCue[k].some((anchor) => anchor.index2 < cuts[k]);
+    return misplaced ? fit / 2 : fit;
+  };
+
+  segmentBoundaries.forEach(({ start, end }, cue) => {
+    const cueStart = cuts[cue];
+    const cueEnd = Math.max(cueStart, cuts[cue + 1]);
+
+    if (end === start || cueEnd === cueStart) {
+      pairWordsProportionally(
+        steps,
+        seq1,
+        seq2,
+        {
+          start1: start,
+          end1: end,
+          start2: cueStart,
+          end2: cueEnd,
+          before1: start - 1,
+        },
+        end === start ? "gap1" : "gap2"
+      );
+      cueConfidence.push(end === start ? 1 : 0);
+      return;
+    }
+
+    const stretch = { start1: start, start2: cueStart, before1: start };
+    for (const anchor of anchorsByCue[cue]) {
+      if (anchor.index2 < stretch.start2 || anchor.index2 >= cueEnd) continue;
+      pairWordsProportionally(
+        steps,
+        seq1,
+        seq2,
+        { ...stretch, end1: anchor.index1, end2: anchor.index2 },
+        "translated"
+      );
+      steps.push({
+        index1: anchor.index1,
+        index2: anchor.index2,
+        word1: seq1[anchor.index1],
+        word2: seq2[anchor.index2],
+        type: "match",
+      });
+      stretch.start1 = anchor.index1 + 1;
+      stretch.start2 = anchor.index2 + 1;
+      stretch.before1 = anchor.index1;
+    }
+    pairWordsProportionally(
+      steps,
+      seq1,
+      seq2,
+      { ...stretch, end1: end, end2: cueEnd },
+      "translated"
+    );
+
+    cueConfidence.push((cutFit(cue) + cutFit(cue + 1)) / 2);
+  });
+
+  if (onProgress) onProgress(1);
+  return { steps, cueConfidence };
+}